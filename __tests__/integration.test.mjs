@@ -1,13 +1,33 @@
 import { jest } from '@jest/globals';
-import { getModelVariants, getModelOptions, getModelLimit } from "../models.config.mjs";
+import { getModelVariants, getModelOptions, getModelLimit, getModelCost, setUserModels } from "../models.config.mjs";
+import { parse as parseJsonc } from "jsonc-parser";
 
 const mockExecSync = jest.fn();
+const notFoundError = () => Object.assign(new Error("File not found"), { code: "ENOENT" });
 const mockReadFile = jest.fn();
+// Serves the given path -> content map, every other path is missing
+const mockFiles = (files = {}) => {
+  mockReadFile.mockImplementation(async (path) => {
+    if (Object.hasOwn(files, path)) return files[path];
+    throw notFoundError();
+  });
+};
 const mockWriteFile = jest.fn();
+const mockAppendFile = jest.fn();
 const mockMkdir = jest.fn();
+const mockCopyFile = jest.fn(async () => {
+  throw notFoundError();
+});
+const mockReaddir = jest.fn(async () => []);
+const mockUnlink = jest.fn();
+const mockAccess = jest.fn(async () => {
+  throw notFoundError();
+});
 const mockHomedir = jest.fn(() => "/home/testuser");
 const mockJoin = jest.fn((...args) => args.join("/"));
 const mockDirname = jest.fn((path) => path.split("/").slice(0, -1).join("/"));
+const mockBasename = jest.fn((path) => path.split("/").pop());
+const mockResolve = jest.fn((path) => (path.startsWith("/") ? path : `/home/testuser/project/${path}`));
 
 jest.unstable_mockModule("node:child_process", () => ({
   execSync: mockExecSync,
@@ -16,7 +36,12 @@ jest.unstable_mockModule("node:child_process", () => ({
 jest.unstable_mockModule("node:fs/promises", () => ({
   readFile: mockReadFile,
   writeFile: mockWriteFile,
+  appendFile: mockAppendFile,
   mkdir: mockMkdir,
+  copyFile: mockCopyFile,
+  readdir: mockReaddir,
+  unlink: mockUnlink,
+  access: mockAccess,
 }));
 
 jest.unstable_mockModule("node:os", () => ({
@@ -26,8 +51,23 @@ jest.unstable_mockModule("node:os", () => ({
 jest.unstable_mockModule("node:path", () => ({
   join: mockJoin,
   dirname: mockDirname,
+  basename: mockBasename,
+  resolve: mockResolve,
 }));
 
+const GLOBAL_CONFIG = "/home/testuser/.config/opencode/opencode.json";
+const USER_CATALOG = "/home/testuser/.config/opencode-nexos/models.json";
+const USER_PRESETS = "/home/testuser/.config/opencode-nexos/presets.json";
+const USER_FILTERS = "/home/testuser/.config/opencode-nexos/filters.json";
+const USER_OVERRIDES = "/home/testuser/.config/opencode-nexos/overrides.json";
+const USER_PINNED = "/home/testuser/.config/opencode-nexos/pinned.json";
+const CHANGE_HISTORY = "/home/testuser/.config/opencode-nexos/history.jsonl";
+const MODELS_CACHE = "/home/testuser/.cache/opencode-nexos/models.json";
+
+// Config writes only; every successful fetch also refreshes the models cache
+const configWrites = () => mockWriteFile.mock.calls.filter(([path]) => path !== MODELS_CACHE && path !== USER_PINNED);
+const pinnedWrites = () => mockWriteFile.mock.calls.filter(([path]) => path === USER_PINNED);
+
 const mockFetch = jest.fn();
 global.fetch = mockFetch;
 
@@ -48,6 +88,24 @@ describe("Integration Tests", () => {
   let buildProviderConfig;
   let buildConfig;
   let saveConfig;
+  let listBackups;
+  let createBackup;
+  let restoreBackup;
+  let findConfigPath;
+  let ConfigParseError;
+  let findProjectConfigPath;
+  let resolveConfigTargets;
+  let getExistingModelCosts;
+  let loadUserCatalog;
+  let ModelCatalogError;
+  let NexosApiError;
+  let saveModelsCache;
+  let loadModelsCache;
+  let createDispatcher;
+  let loadModelFilters;
+  let ModelFilterError;
+  let loadModelOverrides;
+  let ModelOverridesError;
 
   beforeAll(async () => {
     // Import functions from index.mjs after mocks are set up
@@ -62,10 +120,30 @@ describe("Integration Tests", () => {
     buildProviderConfig = indexModule.buildProviderConfig;
     buildConfig = indexModule.buildConfig;
     saveConfig = indexModule.saveConfig;
+    listBackups = indexModule.listBackups;
+    createBackup = indexModule.createBackup;
+    restoreBackup = indexModule.restoreBackup;
+    findConfigPath = indexModule.findConfigPath;
+    ConfigParseError = indexModule.ConfigParseError;
+    findProjectConfigPath = indexModule.findProjectConfigPath;
+    resolveConfigTargets = indexModule.resolveConfigTargets;
+    getExistingModelCosts = indexModule.getExistingModelCosts;
+    loadUserCatalog = indexModule.loadUserCatalog;
+    ModelCatalogError = indexModule.ModelCatalogError;
+    NexosApiError = indexModule.NexosApiError;
+    saveModelsCache = indexModule.saveModelsCache;
+    loadModelsCache = indexModule.loadModelsCache;
+    createDispatcher = indexModule.createDispatcher;
+    loadModelFilters = indexModule.loadModelFilters;
+    ModelFilterError = indexModule.ModelFilterError;
+    loadModelOverrides = indexModule.loadModelOverrides;
+    ModelOverridesError = indexModule.ModelOverridesError;
   });
 
   beforeEach(() => {
     jest.clearAllMocks();
+    mockReadFile.mockReset();
+    mockFiles();
     // Mock process.exit to prevent actual exit during tests
     process.exit = jest.fn((code) => { throw new Error(`EXIT_${code}`); });
     // Capture console.error output
@@ -122,6 +200,7 @@ describe("Integration Tests", () => {
           Authorization: "Bearer nexos-test-key",
           "Content-Type": "application/json",
         },
+        signal: expect.any(AbortSignal),
       });
       expect(result).toEqual([
         { id: "claude-opus", name: "Claude Opus" },
@@ -129,17 +208,148 @@ describe("Integration Tests", () => {
       ]);
     });
 
-    test("should exit on API error", async () => {
-      mockFetch.mockResolvedValueOnce({
-        ok: false,
-        status: 500,
-        statusText: "Internal Server Error",
-        text: () => Promise.resolve("Error details"),
-      });
+    const errorResponse = (status, statusText, headers = {}) => ({
+      ok: false,
+      status,
+      statusText,
+      headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+      text: () => Promise.resolve("Error details"),
+    });
+    const okResponse = () => ({
+      ok: true,
+      json: () => Promise.resolve({ data: [{ id: "gpt-5", name: "GPT 5" }] }),
+    });
 
-      await expect(fetchModelsFromApi("nexos-test-key", "https://api.nexos.ai/v1")).rejects.toThrow("EXIT_1");
-      expect(mockConsoleError).toHaveBeenCalledWith("Error: 500 Internal Server Error");
-      expect(mockConsoleError).toHaveBeenCalledWith("Error details");
+    test("should throw a typed error on API error", async () => {
+      mockFetch.mockResolvedValueOnce(errorResponse(400, "Bad Request"));
+
+      const error = await fetchModelsFromApi("nexos-test-key", "https://api.nexos.ai/v1").catch((err) => err);
+
+      expect(error).toBeInstanceOf(NexosApiError);
+      expect(error).toMatchObject({ code: "HTTP_ERROR", status: 400, body: "Error details", message: "400 Bad Request" });
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+      expect(process.exit).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      [401, "Unauthorized", "UNAUTHORIZED", "NEXOS_API_KEY"],
+      [403, "Forbidden", "FORBIDDEN", "access to the models API"],
+      [404, "Not Found", "NOT_FOUND", "NEXOS_BASE_URL"],
+    ])("should explain a %i response without retrying", async (status, statusText, code, hint) => {
+      mockFetch.mockResolvedValueOnce(errorResponse(status, statusText));
+
+      const error = await fetchModelsFromApi("nexos-test-key", "https://api.nexos.ai/v1").catch((err) => err);
+
+      expect(error.code).toBe(code);
+      expect(error.hint).toContain(hint);
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+    });
+
+    test("should retry 5xx responses with exponential backoff", async () => {
+      const wait = jest.fn(() => Promise.resolve());
+      mockFetch
+        .mockResolvedValueOnce(errorResponse(502, "Bad Gateway"))
+        .mockResolvedValueOnce(errorResponse(503, "Service Unavailable"))
+        .mockResolvedValueOnce(okResponse());
+
+      const result = await fetchModelsFromApi("nexos-test-key", "https://api.nexos.ai/v1", { wait });
+
+      expect(result).toEqual([{ id: "gpt-5", name: "GPT 5" }]);
+      expect(wait.mock.calls).toEqual([[1000], [2000]]);
+      expect(mockConsoleError).toHaveBeenCalledWith("Nexos AI API returned 502, retrying in 1s (attempt 2 of 4)...");
+    });
+
+    test("should respect Retry-After on 429 responses", async () => {
+      const wait = jest.fn(() => Promise.resolve());
+      mockFetch
+        .mockResolvedValueOnce(errorResponse(429, "Too Many Requests", { "retry-after": "7" }))
+        .mockResolvedValueOnce(okResponse());
+
+      await fetchModelsFromApi("nexos-test-key", "https://api.nexos.ai/v1", { wait });
+
+      expect(wait).toHaveBeenCalledWith(7000);
+    });
+
+    test("should give up after the configured number of retries", async () => {
+      const wait = jest.fn(() => Promise.resolve());
+      mockFetch
+        .mockResolvedValueOnce(errorResponse(429, "Too Many Requests"))
+        .mockResolvedValueOnce(errorResponse(429, "Too Many Requests"));
+
+      const error = await fetchModelsFromApi("nexos-test-key", "https://api.nexos.ai/v1", { wait, retries: 1 }).catch((err) => err);
+
+      expect(error.code).toBe("RATE_LIMITED");
+      expect(error.message).toBe("429 Too Many Requests: rate limited by the Nexos AI API after 2 attempts");
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+    });
+
+    test("should turn network failures into typed errors", async () => {
+      mockFetch.mockRejectedValueOnce(new TypeError("fetch failed", { cause: { code: "ENOTFOUND" } }));
+
+      const error = await fetchModelsFromApi("nexos-test-key", "https://api.nexos.ai/v1").catch((err) => err);
+
+      expect(error).toBeInstanceOf(NexosApiError);
+      expect(error).toMatchObject({ code: "NETWORK", message: "cannot reach https://api.nexos.ai/v1: ENOTFOUND" });
+    });
+
+    test("should reject responses that are not a model list", async () => {
+      mockFetch
+        .mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.reject(new SyntaxError("Unexpected token '<', \"<html>\" is not valid JSON")) })
+        .mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve({ error: "login required" }) });
+
+      const html = await fetchModelsFromApi("nexos-test-key", "https://api.nexos.ai/v1").catch((err) => err);
+      expect(html).toBeInstanceOf(NexosApiError);
+      expect(html.code).toBe("INVALID_RESPONSE");
+      expect(html.message).toMatch(/^https:\/\/api\.nexos\.ai\/v1\/models did not return a model list: the response is not JSON/);
+      expect(html.hint).toContain("NEXOS_BASE_URL");
+
+      const shape = await fetchModelsFromApi("nexos-test-key", "https://api.nexos.ai/v1").catch((err) => err);
+      expect(shape.message).toBe("https://api.nexos.ai/v1/models did not return a model list: the response has no data array");
+    });
+
+    test("should follow has_more cursors and dedupe models by id", async () => {
+      mockFetch
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ data: [{ id: "gpt-5", name: "GPT 5" }], has_more: true, last_id: "gpt-5" }) })
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ data: [{ id: "gpt-5", name: "GPT 5" }, { id: "kimi", name: "Kimi K2.5" }], has_more: false }) });
+
+      const result = await fetchModelsFromApi("nexos-test-key", "https://api.nexos.ai/v1");
+
+      expect(mockFetch.mock.calls.map(([url]) => url)).toEqual([
+        "https://api.nexos.ai/v1/models",
+        "https://api.nexos.ai/v1/models?after=gpt-5",
+      ]);
+      expect(result.map((m) => m.id)).toEqual(["gpt-5", "kimi"]);
+      expect(mockConsoleError).toHaveBeenCalledWith("Fetched 2 models in 2 pages");
+    });
+
+    test("should follow next links and stop when a page repeats", async () => {
+      const page = (data, next) => ({ ok: true, json: () => Promise.resolve({ data, next }) });
+      mockFetch
+        .mockResolvedValueOnce(page([{ id: "a", name: "A" }], "/v1/models?page=2"))
+        .mockResolvedValueOnce(page([{ id: "b", name: "B" }], "/v1/models?page=2"));
+
+      const result = await fetchModelsFromApi("nexos-test-key", "https://api.nexos.ai/v1");
+
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+      expect(result.map((m) => m.id)).toEqual(["a", "b"]);
+    });
+
+    test("should refuse next links to another host", async () => {
+      mockFetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ data: [], next: "https://evil.example/models" }) });
+
+      const error = await fetchModelsFromApi("nexos-test-key", "https://api.nexos.ai/v1").catch((err) => err);
+
+      expect(error).toMatchObject({ code: "PAGINATION", message: "next page link points to another host: https://evil.example/models" });
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+    });
+
+    test("should report timeouts", async () => {
+      mockFetch.mockRejectedValueOnce(new DOMException("The operation was aborted due to timeout", "TimeoutError"));
+
+      const error = await fetchModelsFromApi("nexos-test-key", "https://api.nexos.ai/v1", { timeout: 5 }).catch((err) => err);
+
+      expect(error).toMatchObject({ code: "TIMEOUT", message: "request to https://api.nexos.ai/v1/models timed out after 5s" });
+      expect(error.hint).toContain("--timeout");
     });
   });
 
@@ -173,6 +383,28 @@ describe("Integration Tests", () => {
       expect(models["Unknown Model"]).toBeUndefined();
       expect(unsupportedModels).toContain("Unknown Model");
     });
+
+    test("should apply include/exclude patterns after the supported check", () => {
+      const modelsList = [
+        { id: "claude-opus-45", name: "Claude Opus 4.5" },
+        { id: "gpt-5-2", name: "GPT 5.2" },
+        { id: "gpt-5-3-instant", name: "GPT 5.3 Instant" },
+        { id: "kimi", name: "Kimi K2.5" },
+        { id: "unknown-model", name: "Unknown Model" },
+      ];
+
+      const { models, unsupportedModels, filteredModels } = processModels(modelsList, {}, true, {}, {
+        include: ["Claude *", /^GPT 5\./],
+        exclude: ["*Instant*"],
+      });
+
+      expect(Object.keys(models)).toEqual(["Claude Opus 4.5", "GPT 5.2"]);
+      expect(unsupportedModels).toEqual(["Unknown Model"]);
+      expect(filteredModels).toEqual([
+        { name: "GPT 5.3 Instant", rule: "exclude: *Instant*" },
+        { name: "Kimi K2.5", rule: "include: none of Claude *, /^GPT 5\\./" },
+      ]);
+    });
   });
 
   describe("loadExistingConfig", () => {
@@ -185,13 +417,141 @@ describe("Integration Tests", () => {
       expect(result).toEqual(existingConfig);
     });
 
-    test("should return empty object on error", async () => {
-      mockReadFile.mockRejectedValueOnce(new Error("File not found"));
+    test("should load config with comments and trailing commas", async () => {
+      mockReadFile.mockResolvedValueOnce('{\n  // comment\n  "agent": { "build": {}, },\n}\n');
+
+      const result = await loadExistingConfig("/path/to/opencode.jsonc");
+
+      expect(result).toEqual({ agent: { build: {} } });
+    });
+
+    test("should return empty object when file is missing", async () => {
+      mockReadFile.mockRejectedValueOnce(notFoundError());
 
       const result = await loadExistingConfig("/path/to/config.json");
 
       expect(result).toEqual({});
     });
+
+    test("should return empty object for an empty file", async () => {
+      mockReadFile.mockResolvedValueOnce("\n");
+
+      const result = await loadExistingConfig("/path/to/config.json");
+
+      expect(result).toEqual({});
+    });
+
+    test("should throw ConfigParseError with line and column for invalid content", async () => {
+      mockReadFile.mockResolvedValueOnce('{\n  "agent": {}\n  "mcp": {}\n}\n');
+
+      const error = await loadExistingConfig("/path/to/config.json").catch((err) => err);
+
+      expect(error).toBeInstanceOf(ConfigParseError);
+      expect(error.line).toBe(3);
+      expect(error.column).toBe(3);
+      expect(error.message).toBe("/path/to/config.json:3:3: comma expected");
+    });
+
+    test("should throw for a config that is not an object", async () => {
+      mockReadFile.mockResolvedValueOnce("[]");
+
+      await expect(loadExistingConfig("/path/to/config.json")).rejects.toThrow("expected a JSON object at the top level");
+    });
+
+    test("should rethrow errors other than a missing file", async () => {
+      mockReadFile.mockRejectedValueOnce(Object.assign(new Error("permission denied"), { code: "EACCES" }));
+
+      await expect(loadExistingConfig("/path/to/config.json")).rejects.toThrow("permission denied");
+    });
+  });
+
+  describe("findConfigPath", () => {
+    test("should prefer opencode.jsonc when it exists", async () => {
+      mockAccess.mockResolvedValueOnce(undefined);
+
+      const result = await findConfigPath("/home/testuser/.config/opencode");
+
+      expect(result).toBe("/home/testuser/.config/opencode/opencode.jsonc");
+    });
+
+    test("should use opencode.json when only it exists", async () => {
+      mockAccess.mockRejectedValueOnce(notFoundError());
+      mockAccess.mockResolvedValueOnce(undefined);
+
+      const result = await findConfigPath("/home/testuser/.config/opencode");
+
+      expect(result).toBe("/home/testuser/.config/opencode/opencode.json");
+    });
+
+    test("should default to opencode.json when no file exists", async () => {
+      const result = await findConfigPath("/home/testuser/.config/opencode");
+
+      expect(result).toBe("/home/testuser/.config/opencode/opencode.json");
+    });
+  });
+
+  describe("project scope", () => {
+    const existingPaths = (paths) => {
+      mockAccess.mockImplementation(async (path) => {
+        if (!paths.includes(path)) throw notFoundError();
+      });
+    };
+
+    afterEach(() => {
+      mockAccess.mockImplementation(async () => {
+        throw notFoundError();
+      });
+    });
+
+    test("should find the nearest project config walking up", async () => {
+      existingPaths(["/work/repo/opencode.json", "/work/repo/.git"]);
+
+      const result = await findProjectConfigPath("/work/repo/packages/app");
+
+      expect(result).toBe("/work/repo/opencode.json");
+    });
+
+    test("should default to the repository root when no project config exists", async () => {
+      existingPaths(["/work/repo/.git"]);
+
+      const result = await findProjectConfigPath("/work/repo/packages/app");
+
+      expect(result).toBe("/work/repo/opencode.json");
+    });
+
+    test("should default to the start directory outside a repository", async () => {
+      const result = await findProjectConfigPath("/tmp/scratch");
+
+      expect(result).toBe("/tmp/scratch/opencode.json");
+    });
+
+    test("should resolve and deduplicate targets", async () => {
+      existingPaths(["/work/repo/.git"]);
+      const cwd = jest.spyOn(process, "cwd").mockReturnValue("/work/repo");
+
+      const targets = await resolveConfigTargets(["global", "project"], "/work/repo/opencode.json");
+
+      expect(targets).toEqual([
+        "/home/testuser/.config/opencode/opencode.json",
+        "/work/repo/opencode.json",
+      ]);
+      cwd.mockRestore();
+    });
+
+    test("should default to the global config", async () => {
+      expect(await resolveConfigTargets([], undefined)).toEqual(["/home/testuser/.config/opencode/opencode.json"]);
+    });
+
+    test("should read existing costs from the given config path", async () => {
+      mockReadFile.mockResolvedValueOnce(JSON.stringify({
+        provider: { "nexos-ai": { models: { "GPT 5": { cost: { input: 9 } } } } },
+      }));
+
+      const costs = await getExistingModelCosts("/work/repo/opencode.json");
+
+      expect(mockReadFile).toHaveBeenCalledWith("/work/repo/opencode.json", "utf-8");
+      expect(costs).toEqual({ "GPT 5": { input: 9 } });
+    });
   });
 
   describe("buildProviderConfig", () => {
@@ -267,6 +627,89 @@ describe("Integration Tests", () => {
     });
   });
 
+  describe("backups", () => {
+    const configPath = "/home/testuser/.config/opencode/opencode.json";
+    const backupDir = "/home/testuser/.config/opencode/.nexos-backups";
+
+    test("should list backups for the config file, newest first", async () => {
+      mockReaddir.mockResolvedValueOnce([
+        "opencode.json.2026-01-01T10-00-00-000Z.bak",
+        "other.json.2026-01-03T10-00-00-000Z.bak",
+        "opencode.json.2026-01-02T10-00-00-000Z.bak",
+      ]);
+
+      const backups = await listBackups(configPath);
+
+      expect(mockReaddir).toHaveBeenCalledWith(backupDir);
+      expect(backups).toEqual([
+        { timestamp: "2026-01-02T10-00-00-000Z", path: `${backupDir}/opencode.json.2026-01-02T10-00-00-000Z.bak` },
+        { timestamp: "2026-01-01T10-00-00-000Z", path: `${backupDir}/opencode.json.2026-01-01T10-00-00-000Z.bak` },
+      ]);
+    });
+
+    test("should return no backups when backup directory is missing", async () => {
+      mockReaddir.mockRejectedValueOnce(notFoundError());
+      expect(await listBackups(configPath)).toEqual([]);
+    });
+
+    test("should copy the config and prune backups beyond retention", async () => {
+      mockCopyFile.mockResolvedValueOnce(undefined);
+      mockReaddir.mockResolvedValueOnce([
+        "opencode.json.2026-01-03T10-00-00-000Z.bak",
+        "opencode.json.2026-01-02T10-00-00-000Z.bak",
+        "opencode.json.2026-01-01T10-00-00-000Z.bak",
+      ]);
+
+      const backupPath = await createBackup(configPath, 2);
+
+      expect(backupPath).toMatch(/^\/home\/testuser\/\.config\/opencode\/\.nexos-backups\/opencode\.json\.\d{4}-\d{2}-\d{2}T[\d-]+Z\.bak$/);
+      expect(mockCopyFile).toHaveBeenCalledWith(configPath, backupPath);
+      expect(mockUnlink).toHaveBeenCalledTimes(1);
+      expect(mockUnlink).toHaveBeenCalledWith(`${backupDir}/opencode.json.2026-01-01T10-00-00-000Z.bak`);
+    });
+
+    test("should skip backup when config does not exist", async () => {
+      expect(await createBackup(configPath, 5)).toBeNull();
+      expect(mockUnlink).not.toHaveBeenCalled();
+    });
+
+    test("should skip backup when retention is zero", async () => {
+      expect(await createBackup(configPath, 0)).toBeNull();
+      expect(mockCopyFile).not.toHaveBeenCalled();
+    });
+
+    test("should restore the most recent backup", async () => {
+      mockReaddir.mockResolvedValueOnce([
+        "opencode.json.2026-01-01T10-00-00-000Z.bak",
+        "opencode.json.2026-01-02T10-00-00-000Z.bak",
+      ]);
+      mockReadFile.mockResolvedValueOnce('{"restored":true}\n');
+
+      const backup = await restoreBackup(configPath);
+
+      expect(backup.timestamp).toBe("2026-01-02T10-00-00-000Z");
+      expect(mockReadFile).toHaveBeenCalledWith(`${backupDir}/opencode.json.2026-01-02T10-00-00-000Z.bak`, "utf-8");
+      expect(mockWriteFile).toHaveBeenCalledWith(configPath, '{"restored":true}\n', "utf-8");
+    });
+
+    test("should restore a backup by timestamp prefix", async () => {
+      mockReaddir.mockResolvedValueOnce([
+        "opencode.json.2026-01-01T10-00-00-000Z.bak",
+        "opencode.json.2026-01-02T10-00-00-000Z.bak",
+      ]);
+      mockReadFile.mockResolvedValueOnce("{}\n");
+
+      const backup = await restoreBackup(configPath, "2026-01-01");
+
+      expect(backup.timestamp).toBe("2026-01-01T10-00-00-000Z");
+    });
+
+    test("should return null when no backup matches", async () => {
+      expect(await restoreBackup(configPath, "1999")).toBeNull();
+      expect(configWrites()).toHaveLength(0);
+    });
+  });
+
   describe("main function", () => {
     test("should exit if NEXOS_API_KEY is not set", async () => {
       delete process.env.NEXOS_API_KEY;
@@ -288,19 +731,40 @@ describe("Integration Tests", () => {
       mockExecSync.mockReturnValueOnce("some/path/to/opencode");
       mockFetch.mockResolvedValueOnce({
         ok: false,
-        status: 500,
-        statusText: "Internal Server Error",
+        status: 401,
+        statusText: "Unauthorized",
         text: () => Promise.resolve("Error details"),
         json: () => Promise.resolve({}),
       });
 
       await expect(main()).rejects.toThrow("EXIT_1");
       expect(mockConsoleError).toHaveBeenCalledWith("Fetching models from Nexos AI API...");
-      expect(mockConsoleError).toHaveBeenCalledWith("Error: 500 Internal Server Error");
+      expect(mockConsoleError).toHaveBeenCalledWith("Error: 401 Unauthorized: the API key was rejected");
       expect(mockConsoleError).toHaveBeenCalledWith("Error details");
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining("Check that NEXOS_API_KEY is correct"));
       expect(process.exit).toHaveBeenCalledWith(1);
     });
 
+    test("should exit if the network is unreachable", async () => {
+      mockExecSync.mockReturnValueOnce("some/path/to/opencode");
+      mockFetch.mockRejectedValueOnce(new TypeError("fetch failed", { cause: { code: "ECONNREFUSED" } }));
+
+      await expect(main()).rejects.toThrow("EXIT_1");
+      expect(mockConsoleError).toHaveBeenCalledWith("Error: cannot reach https://mock.api.nexos.ai/v1: ECONNREFUSED");
+    });
+
+    test("should exit on an invalid --timeout", async () => {
+      const originalArgv = process.argv;
+      process.argv = ["node", "index.mjs", "--timeout", "soon"];
+      try {
+        await expect(main()).rejects.toThrow("EXIT_1");
+      } finally {
+        process.argv = originalArgv;
+      }
+      expect(mockConsoleError).toHaveBeenCalledWith('Error: --timeout must be a positive number of seconds, got "soon"');
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
     test("should exit if no models are found", async () => {
       mockFetch.mockResolvedValueOnce({
         ok: true,
@@ -320,7 +784,6 @@ describe("Integration Tests", () => {
         ] }),
       });
       mockExecSync.mockReturnValueOnce("some/path/to/opencode");
-      mockReadFile.mockRejectedValueOnce(new Error("File not found"));
       mockMkdir.mockResolvedValueOnce(undefined);
       mockWriteFile.mockResolvedValueOnce(undefined);
 
@@ -369,9 +832,8 @@ describe("Integration Tests", () => {
         json: () => Promise.resolve({ data: mockModelsData }),
       });
       mockExecSync.mockReturnValueOnce("some/path/to/opencode");
-      mockReadFile.mockRejectedValueOnce(new Error("File not found"));
-      mockReadFile.mockResolvedValueOnce(
-        JSON.stringify({
+      mockFiles({
+        [GLOBAL_CONFIG]: JSON.stringify({
           $schema: "https://opencode.ai/config.json",
           provider: {
             "nexos-ai": {
@@ -382,8 +844,8 @@ describe("Integration Tests", () => {
               models: { "Existing Model": { name: "Existing Model" } },
             },
           },
-        })
-      );
+        }, null, 2) + "\n",
+      });
       mockMkdir.mockResolvedValueOnce(undefined);
       mockWriteFile.mockResolvedValueOnce(undefined);
 
@@ -448,94 +910,1506 @@ describe("Integration Tests", () => {
         },
       };
       expect(mockWriteFile).toHaveBeenCalledWith(expectedConfigPath, JSON.stringify(expectedConfig, null, 2) + "\n", "utf-8");
+      expect(mockConsoleError).not.toHaveBeenCalledWith(expect.stringContaining("does not pass validation"));
       expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining("Generated configuration for 3 models"));
       expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining(`Config written to: ${expectedConfigPath}`));
       expect(process.exit).not.toHaveBeenCalled();
     });
   });
 
-  describe("selectAgentModels", () => {
-    test("should skip when no agents selected from checkbox", async () => {
-      const mockPrompts = {
-        checkbox: jest.fn(async () => []),
-        search: jest.fn(),
-      };
+  describe("main function with backup flags", () => {
+    const originalArgv = process.argv;
 
-      const config = { agent: { build: { model: "nexos-ai/Old Model" } } };
-      const result = await selectAgentModels(config, ["Model A"], "nexos-ai", mockPrompts);
-      expect(result).toBe(false);
-      expect(mockConsoleError).toHaveBeenCalledWith(
-        expect.stringContaining("No agents selected")
-      );
+    afterEach(() => {
+      process.argv = originalArgv;
     });
 
-    test("should update agent models via inquirer search", async () => {
-      const mockSearchCounter = { count: 0 };
-      const mockPrompts = {
-        checkbox: jest.fn(async () => ["build", "plan"]),
-        search: jest.fn(async () => {
-          mockSearchCounter.count++;
-          return mockSearchCounter.count === 1 ? "nexos-ai/Claude Opus 4.6" : "nexos-ai/Gemini 2.5 Flash";
-        }),
-      };
-      const mockSlider = jest.fn(async () => 0.2);
+    test("should back up the existing config before writing", async () => {
+      process.argv = ["node", "index.mjs"];
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ data: [{ id: "gpt-5", name: "GPT 5" }] }),
+      });
+      mockExecSync.mockReturnValueOnce("some/path/to/opencode");
+      mockFiles({ [GLOBAL_CONFIG]: "{}" });
+      mockCopyFile.mockResolvedValueOnce(undefined);
 
-      const config = {
-        agent: {
-          build: { mode: "primary", model: "nexos-ai/Old Model", description: "Build agent" },
-          plan: { mode: "primary", model: "nexos-ai/Old Plan Model" },
-        },
-      };
+      await main();
 
-      const result = await selectAgentModels(config, ["Claude Opus 4.6", "Gemini 2.5 Flash"], "nexos-ai", mockPrompts, mockSlider);
+      expect(mockCopyFile).toHaveBeenCalledWith(
+        "/home/testuser/.config/opencode/opencode.json",
+        expect.stringContaining("/home/testuser/.config/opencode/.nexos-backups/opencode.json.")
+      );
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining("Backup saved to:"));
+    });
 
-      expect(result).toBe(true);
-      expect(config.agent.build.model).toBe("nexos-ai/Claude Opus 4.6");
-      expect(config.agent.plan.model).toBe("nexos-ai/Gemini 2.5 Flash");
+    test("should reject an invalid --keep-backups value", async () => {
+      process.argv = ["node", "index.mjs", "--keep-backups", "-1"];
+      await expect(main()).rejects.toThrow("EXIT_1");
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining("--keep-backups must be a non-negative integer"));
+      expect(mockFetch).not.toHaveBeenCalled();
     });
 
-    test("should create new agents if not existing", async () => {
-      const mockPrompts = {
-        checkbox: jest.fn(async () => ["build"]),
-        search: jest.fn(async () => "nexos-ai/GPT 5"),
-      };
-      const mockSlider = jest.fn(async () => 0.2);
+    test("should list backups without calling the API", async () => {
+      process.argv = ["node", "index.mjs", "--list-backups"];
+      mockReaddir.mockResolvedValueOnce(["opencode.json.2026-01-01T10-00-00-000Z.bak"]);
 
-      const config = {};
-      const result = await selectAgentModels(config, ["GPT 5"], "nexos-ai", mockPrompts, mockSlider);
+      await expect(main()).rejects.toThrow("EXIT_0");
 
-      expect(result).toBe(true);
-      expect(config.agent.build.model).toBe("nexos-ai/GPT 5");
+      expect(mockConsoleLog).toHaveBeenCalledWith(expect.stringContaining("2026-01-01T10-00-00-000Z"));
+      expect(mockFetch).not.toHaveBeenCalled();
     });
 
-    test("should add all default agents when no agents exist", async () => {
-      const mockPrompts = {
-        checkbox: jest.fn(),
-        search: jest.fn(async () => "nexos-ai/Claude Opus 4.5"),
-      };
-      const mockSlider = jest.fn(async () => 0.2);
+    test("should exit with error when there is nothing to restore", async () => {
+      process.argv = ["node", "index.mjs", "--restore"];
+      await expect(main()).rejects.toThrow("EXIT_1");
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining("no backups found"));
+    });
 
-      const config = { agent: {} };
-      const result = await selectAgentModels(config, ["Claude Opus 4.5"], "nexos-ai", mockPrompts, mockSlider);
+    test("should restore the --output config when --restore has no timestamp", async () => {
+      process.argv = ["node", "index.mjs", "--restore", "-o", "/tmp/custom.json"];
+      await expect(main()).rejects.toThrow("EXIT_1");
+      expect(mockConsoleError).toHaveBeenCalledWith("Error: no backups found for /tmp/custom.json");
+    });
 
-      expect(result).toBe(true);
-      expect(mockPrompts.checkbox).not.toHaveBeenCalled();
-      expect(config.agent.build).toBeDefined();
-      expect(config.agent["build-fast"]).toBeDefined();
-      expect(config.agent["build-heavy"]).toBeDefined();
-      expect(config.agent.plan).toBeDefined();
-      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining("No agents configured, adding all defaults"));
+    test("should restore a backup even when overrides.json is corrupt", async () => {
+      process.argv = ["node", "index.mjs", "--restore"];
+      mockReaddir.mockResolvedValueOnce(["opencode.json.2026-01-01T10-00-00-000Z.bak"]);
+      mockFiles({
+        [USER_OVERRIDES]: "{ bad",
+        "/home/testuser/.config/opencode/.nexos-backups/opencode.json.2026-01-01T10-00-00-000Z.bak": '{"restored":true}\n',
+      });
+
+      await expect(main()).rejects.toThrow("EXIT_0");
+
+      expect(mockWriteFile).toHaveBeenCalledWith(GLOBAL_CONFIG, '{"restored":true}\n', "utf-8");
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining("Restored"));
+      expect(mockFetch).not.toHaveBeenCalled();
     });
+  });
 
-    test("should apply default permissions for plan agent", async () => {
-      const mockPrompts = {
-        checkbox: jest.fn(),
-        search: jest.fn(async () => "nexos-ai/Claude Sonnet 4.5"),
-      };
-      const mockSlider = jest.fn(async () => 0.3);
+  describe("main function with an invalid config", () => {
+    const originalArgv = process.argv;
+    const brokenConfig = '{\n  "provider": {\n    "other": {}\n  \n  "mcp": {}\n}\n';
 
-      const config = { agent: {} };
-      await selectAgentModels(config, ["Claude Sonnet 4.5"], "nexos-ai", mockPrompts, mockSlider);
+    afterEach(() => {
+      process.argv = originalArgv;
+    });
+
+    const mockApi = () => {
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ data: [{ id: "gpt-5", name: "GPT 5" }] }),
+      });
+      mockExecSync.mockReturnValueOnce("some/path/to/opencode");
+    };
+
+    test("should refuse to overwrite a config that fails to parse", async () => {
+      process.argv = ["node", "index.mjs"];
+      mockExecSync.mockReturnValueOnce("some/path/to/opencode");
+      mockFiles({ [GLOBAL_CONFIG]: brokenConfig });
+
+      await expect(main()).rejects.toThrow("EXIT_1");
+
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining("/home/testuser/.config/opencode/opencode.json:5:3: comma expected"));
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining("--force"));
+      expect(configWrites()).toHaveLength(0);
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    test("should replace the config with --force and keep a backup", async () => {
+      process.argv = ["node", "index.mjs", "--force", "--keep-backups", "0"];
+      mockApi();
+      mockFiles({ [GLOBAL_CONFIG]: brokenConfig });
+      mockCopyFile.mockResolvedValueOnce(undefined);
+
+      await main();
+
+      expect(mockCopyFile).toHaveBeenCalledTimes(1);
+      expect(mockCopyFile).toHaveBeenCalledWith(
+        "/home/testuser/.config/opencode/opencode.json",
+        expect.stringContaining("/.nexos-backups/opencode.json.")
+      );
+      const [, written] = configWrites()[0];
+      expect(JSON.parse(written).provider["nexos-ai"].models["GPT 5"]).toBeDefined();
+    });
+
+    test("should not back up the broken config with --force when the API call fails", async () => {
+      process.argv = ["node", "index.mjs", "--force"];
+      mockExecSync.mockReturnValueOnce("some/path/to/opencode");
+      mockFetch.mockResolvedValueOnce({ ok: false, status: 401, statusText: "Unauthorized", text: () => Promise.resolve("") });
+      mockFiles({ [GLOBAL_CONFIG]: brokenConfig });
+
+      await expect(main()).rejects.toThrow("EXIT_1");
+
+      expect(mockCopyFile).not.toHaveBeenCalled();
+      expect(configWrites()).toHaveLength(0);
+    });
+  });
+
+  describe("main function with multiple targets", () => {
+    const originalArgv = process.argv;
+
+    afterEach(() => {
+      process.argv = originalArgv;
+    });
+
+    test("should fetch once and write every target with its own costs", async () => {
+      process.argv = ["node", "index.mjs", "--scope", "global", "--output", "/work/repo/opencode.json"];
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ data: [{ id: "gpt-5", name: "GPT 5" }] }),
+      });
+      mockExecSync.mockReturnValueOnce("some/path/to/opencode");
+      mockFiles({ "/work/repo/opencode.json": JSON.stringify({
+        provider: { "nexos-ai": { models: { "GPT 5": { cost: { input: 42, output: 84 } } } } },
+      }) });
+
+      await main();
+
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+      expect(configWrites()).toHaveLength(2);
+      const [globalPath, globalText] = configWrites()[0];
+      const [projectPath, projectText] = configWrites()[1];
+      expect(globalPath).toBe("/home/testuser/.config/opencode/opencode.json");
+      expect(JSON.parse(globalText).provider["nexos-ai"].models["GPT 5"].cost.input).toBe(1.25);
+      expect(projectPath).toBe("/work/repo/opencode.json");
+      expect(JSON.parse(projectText).provider["nexos-ai"].models["GPT 5"].cost).toEqual({ input: 42, output: 84 });
+    });
+
+    test("should reject an unknown scope", async () => {
+      process.argv = ["node", "index.mjs", "--scope", "local"];
+      await expect(main()).rejects.toThrow("EXIT_1");
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining("--scope must be one of: global, project"));
+    });
+  });
+
+  describe("user model catalog", () => {
+    const originalArgv = process.argv;
+
+    afterEach(() => {
+      process.argv = originalArgv;
+      setUserModels({});
+    });
+
+    test("should return null when the catalog does not exist", async () => {
+      expect(await loadUserCatalog(USER_CATALOG)).toBeNull();
+    });
+
+    test("should load a catalog with comments", async () => {
+      mockFiles({ [USER_CATALOG]: '{\n  // new model\n  "GLM 6": { "limit": { "context": 300000, "output": 100000 } },\n}' });
+
+      const catalog = await loadUserCatalog(USER_CATALOG);
+
+      expect(catalog).toEqual({ "GLM 6": { limit: { context: 300000, output: 100000 } } });
+    });
+
+    test("should throw ModelCatalogError listing bad fields", async () => {
+      mockFiles({ [USER_CATALOG]: '{ "GLM 6": { "limit": { "context": 0, "output": 1 } } }' });
+
+      const error = await loadUserCatalog(USER_CATALOG).catch((err) => err);
+
+      expect(error).toBeInstanceOf(ModelCatalogError);
+      expect(error.errors).toEqual(['"GLM 6".limit.context: must be a positive integer']);
+    });
+
+    test("should include catalog models in the generated config", async () => {
+      process.argv = ["node", "index.mjs"];
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ data: [{ id: "glm-6", name: "GLM 6" }, { id: "other", name: "Other" }] }),
+      });
+      mockExecSync.mockReturnValueOnce("some/path/to/opencode");
+      mockFiles({
+        [USER_CATALOG]: JSON.stringify({
+          "GLM 6": { limit: { context: 300000, output: 100000 }, cost: { input: 1, output: 4 } },
+        }),
+      });
+
+      await main();
+
+      const [, written] = configWrites()[0];
+      const models = JSON.parse(written).provider["nexos-ai"].models;
+      expect(Object.keys(models)).toEqual(["GLM 6"]);
+      expect(models["GLM 6"].limit).toEqual({ context: 300000, output: 100000 });
+      expect(models["GLM 6"].cost).toEqual({ input: 1, output: 4 });
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining(`Loaded 1 models from user catalog ${USER_CATALOG}`));
+    });
+
+    test("should configure new releases from family rules and name the rule", async () => {
+      process.argv = ["node", "index.mjs"];
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ data: [
+          { id: "claude-sonnet-4-7", name: "Claude Sonnet 4.7" },
+          { id: "claude-haiku-4-5", name: "Claude Haiku 4.5" },
+          { id: "gpt-5-nano", name: "GPT 5 Nano" },
+          { id: "gpt-5-5", name: "GPT 5.5" },
+          { id: "other", name: "Other" },
+        ] }),
+      });
+      mockExecSync.mockReturnValueOnce("some/path/to/opencode");
+      mockFiles({});
+
+      await main();
+
+      const [, written] = configWrites()[0];
+      const models = JSON.parse(written).provider["nexos-ai"].models;
+      // Every family rule is priced, so new releases pass the default --supported-models filter
+      expect(Object.keys(models).sort()).toEqual(["Claude Haiku 4.5", "Claude Sonnet 4.7", "GPT 5 Nano", "GPT 5.5"]);
+      expect(models["Claude Sonnet 4.7"].cost).toEqual(getModelCost("Claude Sonnet 4.6"));
+      expect(models["GPT 5.5"].cost).toEqual({ input: 2.5, output: 15, cache_read: 0.25 });
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining("Filtered out 1 unsupported models: Other"));
+      expect(Object.keys(models["Claude Sonnet 4.7"].variants)).toEqual(["low", "high"]);
+      expect(mockConsoleError).toHaveBeenCalledWith("  - Claude Sonnet 4.7 (rule: Claude Sonnet *)");
+    });
+
+    test("should keep edited variants and costs on refresh", async () => {
+      process.argv = ["node", "index.mjs"];
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ data: [{ id: "claude-opus-4-6", name: "Claude Opus 4.6" }, { id: "gpt-5", name: "GPT 5" }] }),
+      });
+      mockExecSync.mockReturnValueOnce("some/path/to/opencode");
+      mockFiles({
+        [GLOBAL_CONFIG]: JSON.stringify({
+          provider: { "nexos-ai": { models: {
+            "Claude Opus 4.6": { variants: { max: { thinking: { type: "enabled", budgetTokens: 100000 } } } },
+            "GPT 5": { variants: {}, cost: { input: 1, output: 8 } },
+          } } },
+        }),
+      });
+
+      await main();
+
+      const [, written] = configWrites()[0];
+      const models = JSON.parse(written).provider["nexos-ai"].models;
+      expect(models["Claude Opus 4.6"].variants).toEqual({ max: { thinking: { type: "enabled", budgetTokens: 100000 } } });
+      expect(models["Claude Opus 4.6"].cost).toEqual({ input: 5.5, output: 27.5, cache_read: 0.55, cache_write: 6.75 });
+      expect(models["GPT 5"].variants).toEqual({});
+      expect(models["GPT 5"].cost).toEqual({ input: 1, output: 8 });
+    });
+
+    test("should exit when the catalog is invalid", async () => {
+      process.argv = ["node", "index.mjs"];
+      mockFiles({ [USER_CATALOG]: '{ "GLM 6": { "cost": { "input": "cheap" } } }' });
+
+      await expect(main()).rejects.toThrow("EXIT_1");
+
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining('"GLM 6".cost.input: must be a non-negative number'));
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    test("should exit when an explicit --catalog file is missing", async () => {
+      process.argv = ["node", "index.mjs", "--catalog", "/tmp/missing.json"];
+
+      await expect(main()).rejects.toThrow("EXIT_1");
+
+      expect(mockConsoleError).toHaveBeenCalledWith("Error: model catalog not found: /tmp/missing.json");
+    });
+  });
+
+  describe("model filters", () => {
+    const originalArgv = process.argv;
+    const modelsData = [
+      { id: "claude-opus-4-6", name: "Claude Opus 4.6" },
+      { id: "gpt-5-3-instant", name: "GPT 5.3 Instant" },
+      { id: "gpt-5-4", name: "GPT 5.4" },
+      { id: "kimi", name: "Kimi K2.5" },
+    ];
+
+    afterEach(() => {
+      process.argv = originalArgv;
+    });
+
+    function mockModels() {
+      mockFetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ data: modelsData }) });
+      mockExecSync.mockReturnValueOnce("some/path/to/opencode");
+    }
+
+    function writtenModelNames() {
+      const [, written] = configWrites()[0];
+      return Object.keys(JSON.parse(written).provider["nexos-ai"].models);
+    }
+
+    test("loadModelFilters should return null when the file does not exist", async () => {
+      mockFiles({});
+      expect(await loadModelFilters(USER_FILTERS)).toBeNull();
+    });
+
+    test("loadModelFilters should reject unknown fields", async () => {
+      mockFiles({ [USER_FILTERS]: '{ "include": "Claude *", "only": [] }' });
+      const error = await loadModelFilters(USER_FILTERS).catch((err) => err);
+
+      expect(error).toBeInstanceOf(ModelFilterError);
+      expect(error.errors).toEqual([
+        "include: must be an array of patterns",
+        "only: unknown field (expected one of: include, exclude)",
+      ]);
+    });
+
+    test("should apply --include and --exclude and print the matching rule", async () => {
+      process.argv = ["node", "index.mjs", "--include", "Claude *", "--include", "/^GPT 5\\./", "--exclude", "*Instant*"];
+      mockModels();
+      mockFiles({});
+
+      await main();
+
+      expect(writtenModelNames()).toEqual(["Claude Opus 4.6", "GPT 5.4"]);
+      expect(mockConsoleError).toHaveBeenCalledWith("Filtered out 2 models by include/exclude patterns:");
+      expect(mockConsoleError).toHaveBeenCalledWith("  - GPT 5.3 Instant (exclude: *Instant*)");
+      expect(mockConsoleError).toHaveBeenCalledWith("  - Kimi K2.5 (include: none of Claude *, /^GPT 5\\./)");
+    });
+
+    test("should use defaults from filters.json unless a flag replaces them", async () => {
+      process.argv = ["node", "index.mjs", "--exclude", "Kimi*"];
+      mockModels();
+      mockFiles({ [USER_FILTERS]: '{\n  // never the instant models\n  "exclude": ["*Instant*"],\n  "include": ["Claude *", "Kimi *"],\n}' });
+
+      await main();
+
+      expect(writtenModelNames()).toEqual(["Claude Opus 4.6"]);
+      expect(mockConsoleError).toHaveBeenCalledWith("  - GPT 5.4 (include: none of Claude *, Kimi *)");
+      expect(mockConsoleError).toHaveBeenCalledWith("  - Kimi K2.5 (exclude: Kimi*)");
+    });
+
+    test("should exit on an invalid regular expression", async () => {
+      process.argv = ["node", "index.mjs", "--include", "/GPT (5/"];
+
+      await expect(main()).rejects.toThrow("EXIT_1");
+
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining("include: invalid regular expression /GPT (5/"));
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("user fields", () => {
+    const originalArgv = process.argv;
+
+    afterEach(() => {
+      process.argv = originalArgv;
+    });
+
+    function mockRefresh(existingModels, extraFiles = {}) {
+      process.argv = ["node", "index.mjs"];
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ data: [{ id: "gpt-5-4", name: "GPT 5.4" }, { id: "kimi", name: "Kimi K2.5" }] }),
+      });
+      mockExecSync.mockReturnValueOnce("some/path/to/opencode");
+      mockFiles({
+        [GLOBAL_CONFIG]: JSON.stringify({ provider: { "nexos-ai": { models: existingModels } } }),
+        ...extraFiles,
+      });
+    }
+
+    function writtenModels() {
+      const [, written] = configWrites()[0];
+      return JSON.parse(written).provider["nexos-ai"].models;
+    }
+
+    test("should keep extra keys and update generated fields", async () => {
+      mockRefresh({
+        "GPT 5.4": {
+          name: "GPT 5.4",
+          limit: { context: 1, output: 1 },
+          headers: { "X-Team": "platform" },
+          tool_call: true,
+        },
+      });
+
+      await main();
+
+      const model = writtenModels()["GPT 5.4"];
+      expect(model.headers).toEqual({ "X-Team": "platform" });
+      expect(model.tool_call).toBe(true);
+      expect(model.limit).toEqual({ context: 1050000, output: 128000 });
+      expect(mockConsoleError).toHaveBeenCalledWith("  - GPT 5.4: headers, tool_call");
+    });
+
+    test("should keep generated fields marked in overrides.json", async () => {
+      mockRefresh({
+        "GPT 5.4": { limit: { context: 272000, output: 128000 }, options: { reasoningEffort: "low" } },
+        "Kimi K2.5": { limit: { context: 100000, output: 8000 } },
+      }, {
+        [USER_OVERRIDES]: '{\n  // keep the smaller context window\n  "GPT *": ["limit", "options"],\n}',
+      });
+
+      await main();
+
+      const models = writtenModels();
+      expect(models["GPT 5.4"].limit).toEqual({ context: 272000, output: 128000 });
+      expect(models["GPT 5.4"].options).toEqual({ reasoningEffort: "low" });
+      expect(models["Kimi K2.5"].limit).toEqual({ context: 256000, output: 64000 });
+      expect(mockConsoleError).toHaveBeenCalledWith("\nKept user fields for 1 models:");
+      expect(mockConsoleError).toHaveBeenCalledWith("  - GPT 5.4: limit, options");
+    });
+
+    test("should not report fields that match the generated values", async () => {
+      mockRefresh({ "GPT 5.4": { options: { reasoningEffort: "none" } } }, { [USER_OVERRIDES]: '{ "GPT 5.4": ["options"] }' });
+
+      await main();
+
+      expect(mockConsoleError).not.toHaveBeenCalledWith(expect.stringContaining("Kept user fields"));
+    });
+
+    test("loadModelOverrides should reject unknown fields and bad patterns", async () => {
+      mockFiles({ [USER_OVERRIDES]: '{ "GPT *": ["limit", "price"], "/(/": [], "Kimi K2.5": "limit" }' });
+      const error = await loadModelOverrides(USER_OVERRIDES).catch((err) => err);
+
+      expect(error).toBeInstanceOf(ModelOverridesError);
+      expect(error.errors).toEqual([
+        '"GPT *": unknown field "price" (expected one of: name, modalities, limit, temperature, options, variants, cost)',
+        expect.stringMatching(/^"\/\(\/": invalid regular expression/),
+        '"Kimi K2.5": must be an array of field names',
+      ]);
+    });
+
+    test("should exit when overrides.json is invalid", async () => {
+      process.argv = ["node", "index.mjs"];
+      mockFiles({ [USER_OVERRIDES]: '{ "GPT *": "limit" }' });
+
+      await expect(main()).rejects.toThrow("EXIT_1");
+
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining(`Invalid model overrides ${USER_OVERRIDES}`));
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("pinned models", () => {
+    const originalArgv = process.argv;
+    const pinnedConfig = JSON.stringify({
+      provider: { "nexos-ai": { models: {
+        "GPT 5.3 Codex": { name: "GPT 5.3 Codex", limit: { context: 400000, output: 128000 } },
+        "Kimi K2.5": { name: "Kimi K2.5" },
+      } } },
+      agent: { build: { model: "nexos-ai/GPT 5.3 Codex" } },
+    });
+
+    afterEach(() => {
+      process.argv = originalArgv;
+    });
+
+    function mockRefresh(argv, pinned) {
+      process.argv = ["node", "index.mjs", ...argv];
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ data: [{ id: "gpt-5-4", name: "GPT 5.4" }] }),
+      });
+      mockExecSync.mockReturnValueOnce("some/path/to/opencode");
+      mockFiles({ [GLOBAL_CONFIG]: pinnedConfig, [USER_PINNED]: pinned });
+    }
+
+    function writtenConfig() {
+      const [, written] = configWrites()[0];
+      return JSON.parse(written);
+    }
+
+    test("should carry over pinned models the API did not return and record when they went missing", async () => {
+      mockRefresh([], '{\n  // keep for the build agent\n  "GPT 5.3 Codex": {}\n}\n');
+
+      await main();
+
+      const config = writtenConfig();
+      expect(Object.keys(config.provider["nexos-ai"].models)).toEqual(["GPT 5.4", "GPT 5.3 Codex"]);
+      expect(config.agent.build.model).toBe("nexos-ai/GPT 5.3 Codex");
+      expect(mockConsoleError).toHaveBeenCalledWith(
+        expect.stringMatching(/^Warning: pinned model "GPT 5\.3 Codex" was not returned by the API, keeping it \(stale since \d{4}-/)
+      );
+
+      const [[, pinnedText]] = pinnedWrites();
+      expect(pinnedText).toContain("// keep for the build agent");
+      expect(Date.parse(parseJsonc(pinnedText)["GPT 5.3 Codex"].staleSince)).not.toBeNaN();
+    });
+
+    test("should keep the first stale timestamp", async () => {
+      mockRefresh([], '{ "GPT 5.3 Codex": { "staleSince": "2026-10-01T00:00:00.000Z" } }');
+
+      await main();
+
+      expect(mockConsoleError).toHaveBeenCalledWith(
+        'Warning: pinned model "GPT 5.3 Codex" was not returned by the API, keeping it (stale since 2026-10-01T00:00:00.000Z)'
+      );
+      expect(pinnedWrites()).toHaveLength(0);
+    });
+
+    test("should clear the stale timestamp when the API returns the model again", async () => {
+      mockRefresh([], '{ "GPT 5.4": { "staleSince": "2026-10-01T00:00:00.000Z" } }');
+
+      await main();
+
+      const [[, pinnedText]] = pinnedWrites();
+      expect(parseJsonc(pinnedText)).toEqual({ "GPT 5.4": {} });
+    });
+
+    test("--prune-pinned should drop stale pinned models from the config and pinned.json", async () => {
+      mockRefresh(["--prune-pinned", "--auto-remap"], '{ "GPT 5.3 Codex": { "staleSince": "2026-10-01T00:00:00.000Z" }, "GPT 5.4": {} }');
+
+      await main();
+
+      const config = writtenConfig();
+      expect(Object.keys(config.provider["nexos-ai"].models)).toEqual(["GPT 5.4"]);
+      expect(config.agent.build.model).toBe("nexos-ai/GPT 5.4");
+      expect(mockConsoleError).toHaveBeenCalledWith('Pruned pinned model "GPT 5.3 Codex" (stale since 2026-10-01T00:00:00.000Z)');
+
+      const [[, pinnedText]] = pinnedWrites();
+      expect(parseJsonc(pinnedText)).toEqual({ "GPT 5.4": {} });
+    });
+
+    test("should only carry over pins scoped to the config being written", async () => {
+      mockRefresh([], '{ "GPT 5.3 Codex": { "configs": ["~/work/app/opencode.json"] } }');
+
+      await main();
+
+      expect(Object.keys(writtenConfig().provider["nexos-ai"].models)).toEqual(["GPT 5.4"]);
+      expect(mockConsoleError).not.toHaveBeenCalledWith(expect.stringContaining('pinned model "GPT 5.3 Codex"'));
+    });
+
+    test("--prune-pinned should only drop the written configs from a scoped pin", async () => {
+      mockRefresh(["--prune-pinned", "--auto-remap"], '{ "GPT 5.3 Codex": { "configs": ["~/.config/opencode/opencode.json", "other.json"] } }');
+
+      await main();
+
+      expect(Object.keys(writtenConfig().provider["nexos-ai"].models)).toEqual(["GPT 5.4"]);
+      const [[, pinnedText]] = pinnedWrites();
+      expect(parseJsonc(pinnedText)["GPT 5.3 Codex"].configs).toEqual(["other.json"]);
+    });
+
+    test("should not touch pinned.json on a dry run", async () => {
+      mockRefresh(["--dry-run"], '{ "GPT 5.3 Codex": {} }');
+
+      await main();
+
+      expect(pinnedWrites()).toHaveLength(0);
+    });
+
+    test("should exit when pinned.json is invalid", async () => {
+      process.argv = ["node", "index.mjs"];
+      mockFiles({ [USER_PINNED]: '{ "GPT 5.4": true, "Kimi K2.5": { "staleSince": "soon" }, "GPT 5": { "configs": [] } }' });
+
+      await expect(main()).rejects.toThrow("EXIT_1");
+
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining('"GPT 5.4": must be an object'));
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining('"Kimi K2.5".staleSince: must be a date'));
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining('"GPT 5".configs: must be a non-empty array of config paths'));
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("change report", () => {
+    const originalArgv = process.argv;
+
+    afterEach(() => {
+      process.argv = originalArgv;
+    });
+
+    function mockRefresh(argv, files) {
+      process.argv = ["node", "index.mjs", ...argv];
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ data: [{ id: "gpt-5-4", name: "GPT 5.4" }, { id: "kimi", name: "Kimi K2.5" }] }),
+      });
+      mockExecSync.mockReturnValueOnce("some/path/to/opencode");
+      mockFiles(files);
+    }
+
+    const previousConfig = JSON.stringify({ provider: { "nexos-ai": { models: {
+      "GPT 5.4": { name: "GPT 5.4", limit: { context: 400000, output: 128000 }, cost: { input: 2.75, output: 16.5 } },
+      "GPT 5.2": { name: "GPT 5.2" },
+    } } } });
+
+    test("should print the changes and append them to the history", async () => {
+      mockRefresh([], { [GLOBAL_CONFIG]: previousConfig });
+
+      await main();
+
+      const report = mockConsoleError.mock.calls.map(([line]) => line).find((line) => line.includes("Changes since the last run"));
+      expect(report).toContain("New models (1):\x1b[0m Kimi K2.5");
+      expect(report).toContain("Removed models (1):\x1b[0m GPT 5.2");
+      expect(report).toContain("GPT 5.4: context 400000 → 1050000");
+
+      expect(mockAppendFile).toHaveBeenCalledTimes(1);
+      const [path, line] = mockAppendFile.mock.calls[0];
+      expect(path).toBe(CHANGE_HISTORY);
+      const entry = JSON.parse(line);
+      expect(entry).toMatchObject({ config: GLOBAL_CONFIG, added: ["Kimi K2.5"], removed: ["GPT 5.2"] });
+      // The custom price in the config is not a change to the defaults
+      expect(report).not.toContain("Default price changes");
+      expect(entry.prices).toEqual([]);
+      expect(entry.defaults["GPT 5.4"]).toEqual({ cost: getModelCost("GPT 5.4"), variants: getModelVariants("GPT 5.4") });
+      expect(Date.parse(entry.time)).not.toBeNaN();
+    });
+
+    test("should report default price changes since the recorded defaults", async () => {
+      const recorded = { "GPT 5.4": { cost: { input: 2, output: 12 }, variants: ["low", "high"] } };
+      mockRefresh([], {
+        [GLOBAL_CONFIG]: previousConfig,
+        [CHANGE_HISTORY]: `not json\n${JSON.stringify({ config: GLOBAL_CONFIG, defaults: recorded })}\n`,
+      });
+
+      await main();
+
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining("    GPT 5.4: input 2 → 2.5, output 12 → 15"));
+      expect(JSON.parse(mockAppendFile.mock.calls[0][1]).prices).toEqual([
+        { name: "GPT 5.4", before: { input: 2, output: 12 }, after: getModelCost("GPT 5.4") },
+      ]);
+    });
+
+    test("should record a baseline when nothing changed yet", async () => {
+      const unchanged = JSON.stringify({ provider: { "nexos-ai": { models: {
+        "GPT 5.4": { name: "GPT 5.4", limit: getModelLimit("GPT 5.4"), cost: { input: 1, output: 2 } },
+        "Kimi K2.5": { name: "Kimi K2.5", limit: getModelLimit("Kimi K2.5") },
+      } } } });
+      mockRefresh([], { [GLOBAL_CONFIG]: unchanged });
+
+      await main();
+
+      expect(mockConsoleError).toHaveBeenCalledWith("\nNo changes since the last run.");
+      const entry = JSON.parse(mockAppendFile.mock.calls[0][1]);
+      expect(entry.prices).toEqual([]);
+      expect(Object.keys(entry.defaults)).toEqual(["GPT 5.4", "Kimi K2.5"]);
+
+      mockAppendFile.mockClear();
+      mockRefresh([], { [GLOBAL_CONFIG]: unchanged, [CHANGE_HISTORY]: `${JSON.stringify(entry)}\n` });
+      await main();
+      expect(mockAppendFile).not.toHaveBeenCalled();
+    });
+
+    test("should update variants the user did not change to the built-in ones", async () => {
+      const oldHigh = { reasoningEffort: "medium" };
+      const config = JSON.stringify({ provider: { "nexos-ai": { models: {
+        "GPT 5.4": { name: "GPT 5.4", variants: { high: oldHigh, mine: { reasoningEffort: "minimal" } } },
+      } } } });
+      const recorded = { "GPT 5.4": { cost: getModelCost("GPT 5.4"), variants: { high: oldHigh } } };
+      mockRefresh([], {
+        [GLOBAL_CONFIG]: config,
+        [CHANGE_HISTORY]: `${JSON.stringify({ config: GLOBAL_CONFIG, defaults: recorded })}\n`,
+      });
+
+      await main();
+
+      const { variants } = JSON.parse(configWrites()[0][1]).provider["nexos-ai"].models["GPT 5.4"];
+      expect(variants).toEqual({ ...getModelVariants("GPT 5.4"), mine: { reasoningEffort: "minimal" } });
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining("    GPT 5.4: low"));
+      expect(JSON.parse(mockAppendFile.mock.calls[0][1]).defaults["GPT 5.4"].variants).toEqual(getModelVariants("GPT 5.4"));
+    });
+
+    test("should not write the history on a dry run", async () => {
+      mockRefresh(["--dry-run"], { [GLOBAL_CONFIG]: previousConfig });
+
+      await main();
+
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining("Changes since the last run"));
+      expect(mockAppendFile).not.toHaveBeenCalled();
+    });
+
+    test("should record but not print the first run", async () => {
+      mockRefresh([], {});
+
+      await main();
+
+      expect(mockConsoleError).not.toHaveBeenCalledWith(expect.stringContaining("since the last run"));
+      expect(JSON.parse(mockAppendFile.mock.calls[0][1]).added).toEqual(["GPT 5.4", "Kimi K2.5"]);
+    });
+  });
+
+  describe("usage command", () => {
+    const originalArgv = process.argv;
+    const STORAGE = "/home/testuser/.local/share/opencode/storage";
+
+    afterEach(() => {
+      process.argv = originalArgv;
+      mockReaddir.mockImplementation(async () => []);
+    });
+
+    function mockStorage(sessions) {
+      mockReaddir.mockImplementation(async (path) => {
+        if (path === `${STORAGE}/message`) return Object.keys(sessions);
+        const session = path.split("/").pop();
+        if (Object.hasOwn(sessions, session)) return Object.keys(sessions[session]);
+        throw notFoundError();
+      });
+      const files = {};
+      for (const [session, messages] of Object.entries(sessions)) {
+        for (const [file, content] of Object.entries(messages)) {
+          files[`${STORAGE}/message/${session}/${file}`] = typeof content === "string" ? content : JSON.stringify(content);
+        }
+      }
+      return files;
+    }
+
+    test("should price tokens with the costs from the config", async () => {
+      process.argv = ["node", "index.mjs", "usage", "--format", "json"];
+      const files = mockStorage({
+        ses_1: {
+          "msg_1.json": { role: "assistant", providerID: "nexos-ai", modelID: "GPT 5", mode: "build", time: { created: 1 }, tokens: { input: 1_000_000, output: 0, reasoning: 0, cache: { read: 0, write: 0 } } },
+          "msg_2.json": { role: "user", time: { created: 2 } },
+          "msg_3.json": "{ partial",
+        },
+      });
+      mockFiles({
+        ...files,
+        [GLOBAL_CONFIG]: JSON.stringify({ provider: { "nexos-ai": { models: { "GPT 5": { cost: { input: 2, output: 8 } } } } } }),
+      });
+
+      await expect(main()).rejects.toThrow("EXIT_0");
+
+      const summary = JSON.parse(mockConsoleLog.mock.calls[0][0]);
+      expect(summary.models).toEqual([expect.objectContaining({ name: "GPT 5", messages: 1, cost: 2 })]);
+      expect(summary.agents[0].name).toBe("build");
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    test("should exit when the storage directory does not exist", async () => {
+      process.argv = ["node", "index.mjs", "usage"];
+      mockReaddir.mockImplementation(async () => {
+        throw notFoundError();
+      });
+
+      await expect(main()).rejects.toThrow("EXIT_1");
+
+      expect(mockConsoleError).toHaveBeenCalledWith(`Error: cannot read opencode sessions in ${STORAGE}: directory not found`);
+    });
+
+    test("should reject an invalid --since", async () => {
+      process.argv = ["node", "index.mjs", "usage", "--since", "yesterday"];
+
+      await expect(main()).rejects.toThrow("EXIT_1");
+
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining("Error: --since must be a date"));
+    });
+  });
+
+  describe("compare-costs command", () => {
+    const originalArgv = process.argv;
+    const MODELS_FILE = "/tmp/models.txt";
+    const USER_PROFILES = "/home/testuser/.config/opencode-nexos/profiles.json";
+
+    afterEach(() => {
+      process.argv = originalArgv;
+    });
+
+    test("should rank models using custom costs from the config", async () => {
+      process.argv = ["node", "index.mjs", "compare-costs", "--input-tokens", "1M", "--models-file", MODELS_FILE, "--format", "json"];
+      mockFiles({
+        [MODELS_FILE]: "GPT 5\nKimi K2.5\n",
+        [GLOBAL_CONFIG]: JSON.stringify({ provider: { "nexos-ai": { models: { "GPT 5": { cost: { input: 0.1, output: 1 } } } } } }),
+      });
+
+      await main();
+
+      const rows = JSON.parse(mockConsoleLog.mock.calls[0][0]);
+      expect(rows.map((row) => [row.rank, row.name, row.cost])).toEqual([[1, "GPT 5", 0.1], [2, "Kimi K2.5", 0.6]]);
+      expect(mockConsoleError).toHaveBeenCalledWith("Workload: input 1000000, output 0, cache read 0, cache write 0\n");
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    test("should use profiles from profiles.json", async () => {
+      process.argv = ["node", "index.mjs", "compare-costs", "nightly batch", "--models-file", MODELS_FILE];
+      mockFiles({
+        [MODELS_FILE]: "GPT 5\n",
+        [USER_PROFILES]: '{ "nightly batch": { "input": 5000000, "output": 500000 } }',
+      });
+
+      await main();
+
+      expect(mockConsoleError).toHaveBeenCalledWith("Workload: input 5000000, output 500000, cache read 0, cache write 0\n");
+      expect(mockConsoleLog.mock.calls[0][0]).toMatch(/^1\s+GPT 5\s+11\.2500/m);
+    });
+
+    test("should exit on an unknown profile before calling the API", async () => {
+      process.argv = ["node", "index.mjs", "compare-costs", "huge"];
+
+      await expect(main()).rejects.toThrow("EXIT_1");
+
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining('Error: unknown workload profile "huge"'));
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("main function with agent flags", () => {
+    const originalArgv = process.argv;
+
+    afterEach(() => {
+      process.argv = originalArgv;
+    });
+
+    const mockApi = () => {
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ data: [
+          { id: "claude-opus-4-6", name: "Claude Opus 4.6" },
+          { id: "gpt-5", name: "GPT 5" },
+        ] }),
+      });
+      mockExecSync.mockReturnValueOnce("some/path/to/opencode");
+    };
+
+    test("should assign agents from flags in a single write", async () => {
+      process.argv = ["node", "index.mjs", "--agent", "build=Claude Opus 4.6", "--agent-temperature", "build=0.4"];
+      mockApi();
+
+      await main();
+
+      expect(configWrites()).toHaveLength(1);
+      const [, written] = configWrites()[0];
+      expect(JSON.parse(written).agent).toEqual({
+        build: { temperature: 0.4, model: "nexos-ai/Claude Opus 4.6" },
+      });
+      expect(mockConsoleError).toHaveBeenCalledWith("Agents assigned: build");
+    });
+
+    test("should assign agents from an agents file", async () => {
+      process.argv = ["node", "index.mjs", "--agents-file", "/work/agents.json"];
+      mockApi();
+      mockFiles({ "/work/agents.json": JSON.stringify({ plan: { model: "GPT 5", temperature: 0.1 }, build: "Claude Opus 4.6" }) });
+
+      await main();
+
+      const [, written] = configWrites()[0];
+      const agents = JSON.parse(written).agent;
+      expect(agents.plan.model).toBe("nexos-ai/GPT 5");
+      expect(agents.plan.temperature).toBe(0.1);
+      expect(agents.build.model).toBe("nexos-ai/Claude Opus 4.6");
+    });
+
+    test("should exit without writing when a model is unknown", async () => {
+      process.argv = ["node", "index.mjs", "--agent", "build=Claude Opus 9"];
+      mockApi();
+
+      await expect(main()).rejects.toThrow("EXIT_1");
+
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining('build: model "Claude Opus 9" is not in the generated model list'));
+      expect(configWrites()).toHaveLength(0);
+    });
+
+    test("should exit before fetching when a flag is malformed", async () => {
+      process.argv = ["node", "index.mjs", "--agent", "build"];
+      mockExecSync.mockReturnValueOnce("some/path/to/opencode");
+
+      await expect(main()).rejects.toThrow("EXIT_1");
+
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining('--agent expects <agent>=<value>, got "build"'));
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("main function with --preset", () => {
+    const originalArgv = process.argv;
+
+    afterEach(() => {
+      process.argv = originalArgv;
+    });
+
+    const mockApi = () => {
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ data: [
+          { id: "claude-opus-4-6", name: "Claude Opus 4.6" },
+          { id: "claude-sonnet-4-6", name: "Claude Sonnet 4.6" },
+          { id: "gpt-5-4", name: "GPT 5.4" },
+          { id: "kimi-k2-5", name: "Kimi K2.5" },
+        ] }),
+      });
+      mockExecSync.mockReturnValueOnce("some/path/to/opencode");
+    };
+
+    test("should assign every default agent from a built-in preset", async () => {
+      process.argv = ["node", "index.mjs", "--preset", "premium"];
+      mockApi();
+
+      await main();
+
+      expect(configWrites()).toHaveLength(1);
+      const agents = JSON.parse(configWrites()[0][1]).agent;
+      expect(Object.keys(agents)).toEqual(["build", "build-fast", "build-heavy", "plan", "creative"]);
+      expect(agents["build-heavy"]).toMatchObject({ model: "nexos-ai/Claude Opus 4.6", temperature: 0.1, variant: "high" });
+      expect(agents.plan).toMatchObject({ model: "nexos-ai/GPT 5.4", variant: "high" });
+      expect(agents.plan.permission.edit).toBe("deny");
+    });
+
+    test("should let --agent flags refine a preset", async () => {
+      process.argv = ["node", "index.mjs", "--preset", "premium", "--agent", "creative=Kimi K2.5"];
+      mockApi();
+
+      await main();
+
+      const agents = JSON.parse(configWrites()[0][1]).agent;
+      expect(agents.creative).toMatchObject({ model: "nexos-ai/Kimi K2.5", temperature: 0.7 });
+    });
+
+    test("should apply a user-defined preset from presets.json", async () => {
+      process.argv = ["node", "index.mjs", "--preset", "kimi"];
+      mockApi();
+      mockFiles({ [USER_PRESETS]: JSON.stringify({ kimi: { build: "Kimi K2.5", plan: { model: "Kimi K2.5", temperature: 0 } } }) });
+
+      await main();
+
+      const agents = JSON.parse(configWrites()[0][1]).agent;
+      expect(agents.build.model).toBe("nexos-ai/Kimi K2.5");
+      expect(agents.plan.temperature).toBe(0);
+    });
+
+    test("should exit before fetching when the preset is unknown", async () => {
+      process.argv = ["node", "index.mjs", "--preset", "cheap"];
+      mockExecSync.mockReturnValueOnce("some/path/to/opencode");
+
+      await expect(main()).rejects.toThrow("EXIT_1");
+
+      expect(mockConsoleError).toHaveBeenCalledWith('Error: unknown preset "cheap". Available presets: budget, premium');
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    test("should exit without writing when a preset model is missing from the API", async () => {
+      process.argv = ["node", "index.mjs", "--preset", "budget"];
+      mockApi();
+
+      await expect(main()).rejects.toThrow("EXIT_1");
+
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining('build-fast: model "Gemini 2.5 Flash" is not in the generated model list'));
+      expect(configWrites()).toHaveLength(0);
+    });
+  });
+
+  describe("main function with list command", () => {
+    const originalArgv = process.argv;
+
+    afterEach(() => {
+      process.argv = originalArgv;
+    });
+
+    const mockApi = () => {
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ data: [
+          { id: "gpt-5", name: "GPT 5" },
+          { id: "gemini-3-pro", name: "Gemini 3 Pro" },
+          { id: "mystery", name: "Mystery Model" },
+        ] }),
+      });
+    };
+
+    test("should print models as JSON without writing a config", async () => {
+      process.argv = ["node", "index.mjs", "list", "--format", "json"];
+      mockApi();
+
+      await main();
+
+      const rows = JSON.parse(mockConsoleLog.mock.calls[0][0]);
+      expect(rows.map((row) => row.status)).toEqual(["skipped", "supported", "filtered"]);
+      expect(configWrites()).toHaveLength(0);
+      expect(mockExecSync).not.toHaveBeenCalled();
+      expect(mockConsoleError).toHaveBeenCalledWith("\n3 models: 1 skipped, 1 supported, 1 filtered");
+    });
+
+    test("should use custom costs from the existing config", async () => {
+      process.argv = ["node", "index.mjs", "list", "--format", "csv"];
+      mockApi();
+      mockFiles({ [GLOBAL_CONFIG]: JSON.stringify({ provider: { "nexos-ai": { models: { "GPT 5": { cost: { input: 9, output: 99 } } } } } }) });
+
+      await main();
+
+      const lines = mockConsoleLog.mock.calls[0][0].split("\n");
+      expect(lines.find((line) => line.startsWith("GPT 5,"))).toContain(",9,99,");
+    });
+
+    test("should exit on an unknown format", async () => {
+      process.argv = ["node", "index.mjs", "list", "--format", "xml"];
+
+      await expect(main()).rejects.toThrow("EXIT_1");
+
+      expect(mockConsoleError).toHaveBeenCalledWith("Error: --format must be one of: table, json, csv");
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    test("should exit on an unknown command", async () => {
+      process.argv = ["node", "index.mjs", "lsit"];
+
+      await expect(main()).rejects.toThrow("EXIT_1");
+
+      expect(mockConsoleError).toHaveBeenCalledWith('Error: unknown command "lsit"');
+    });
+  });
+
+  describe("models cache", () => {
+    const originalArgv = process.argv;
+    const API_URL = "https://mock.api.nexos.ai/v1";
+    const cachedModels = [{ id: "gpt-5", name: "GPT 5" }];
+    const cacheFile = (fetchedAt, baseURL = API_URL) =>
+      JSON.stringify({ fetchedAt, baseURL, models: cachedModels });
+
+    afterEach(() => {
+      process.argv = originalArgv;
+    });
+
+    test("saveModelsCache should store the models with a timestamp", async () => {
+      await saveModelsCache(MODELS_CACHE, API_URL, cachedModels, new Date("2026-04-02T10:00:00Z"));
+
+      expect(mockMkdir).toHaveBeenCalledWith("/home/testuser/.cache/opencode-nexos", { recursive: true });
+      const [path, written] = mockWriteFile.mock.calls[0];
+      expect(path).toBe(MODELS_CACHE);
+      expect(JSON.parse(written)).toEqual({ fetchedAt: "2026-04-02T10:00:00.000Z", baseURL: API_URL, models: cachedModels });
+    });
+
+    test("loadModelsCache should ignore missing, invalid and foreign caches", async () => {
+      expect(await loadModelsCache(MODELS_CACHE, API_URL)).toBeNull();
+
+      mockFiles({ [MODELS_CACHE]: "{ not json" });
+      expect(await loadModelsCache(MODELS_CACHE, API_URL)).toBeNull();
+
+      mockFiles({ [MODELS_CACHE]: cacheFile("2026-04-02T10:00:00.000Z", "https://other.example/v1") });
+      expect(await loadModelsCache(MODELS_CACHE, API_URL)).toBeNull();
+
+      mockFiles({ [MODELS_CACHE]: cacheFile("2026-04-02T10:00:00.000Z") });
+      expect((await loadModelsCache(MODELS_CACHE, API_URL)).models).toEqual(cachedModels);
+    });
+
+    test("should refresh the cache after a successful fetch", async () => {
+      process.argv = ["node", "index.mjs"];
+      mockExecSync.mockReturnValueOnce("some/path/to/opencode");
+      mockFetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ data: cachedModels }) });
+
+      await main();
+
+      const cacheWrite = mockWriteFile.mock.calls.find(([path]) => path === MODELS_CACHE);
+      expect(JSON.parse(cacheWrite[1]).models).toEqual(cachedModels);
+    });
+
+    test("--offline should generate the config from the cache without an API key", async () => {
+      process.argv = ["node", "index.mjs", "--offline"];
+      delete process.env.NEXOS_API_KEY;
+      mockExecSync.mockReturnValueOnce("some/path/to/opencode");
+      const fetchedAt = new Date(Date.now() - 2 * 86400 * 1000).toISOString();
+      mockFiles({ [MODELS_CACHE]: cacheFile(fetchedAt) });
+
+      await main();
+
+      expect(mockFetch).not.toHaveBeenCalled();
+      expect(mockConsoleError).toHaveBeenCalledWith(`Warning: using cached models fetched ${fetchedAt} (2 days old)`);
+      expect(Object.keys(JSON.parse(configWrites()[0][1]).provider["nexos-ai"].models)).toEqual(["GPT 5"]);
+    });
+
+    test("--offline should exit when there is no cache", async () => {
+      process.argv = ["node", "index.mjs", "--offline"];
+      mockExecSync.mockReturnValueOnce("some/path/to/opencode");
+
+      await expect(main()).rejects.toThrow("EXIT_1");
+
+      expect(mockConsoleError).toHaveBeenCalledWith(`Error: --offline needs a cached model list, but none was found for ${API_URL}`);
+      expect(configWrites()).toHaveLength(0);
+    });
+
+    test("should fall back to the cache when the API is unreachable", async () => {
+      process.argv = ["node", "index.mjs"];
+      mockExecSync.mockReturnValueOnce("some/path/to/opencode");
+      mockFetch.mockRejectedValueOnce(new TypeError("fetch failed", { cause: { code: "ENOTFOUND" } }));
+      const fetchedAt = new Date(Date.now() - 3 * 3600 * 1000).toISOString();
+      mockFiles({ [MODELS_CACHE]: cacheFile(fetchedAt) });
+
+      await main();
+
+      expect(mockConsoleError).toHaveBeenCalledWith(`Warning: cannot reach ${API_URL}: ENOTFOUND`);
+      expect(mockConsoleError).toHaveBeenCalledWith(`Warning: using cached models fetched ${fetchedAt} (3 hours old)`);
+      expect(configWrites()).toHaveLength(1);
+    });
+
+    test("should fall back to the cache when a proxy page answers instead of the API", async () => {
+      process.argv = ["node", "index.mjs"];
+      mockExecSync.mockReturnValueOnce("some/path/to/opencode");
+      mockFetch.mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.reject(new SyntaxError("Unexpected token '<'")) });
+      mockFiles({ [MODELS_CACHE]: cacheFile(new Date().toISOString()) });
+
+      await main();
+
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining(`Warning: ${API_URL}/models did not return a model list`));
+      expect(configWrites()).toHaveLength(1);
+    });
+
+    test("should not fall back to the cache when the API key is rejected", async () => {
+      process.argv = ["node", "index.mjs"];
+      mockExecSync.mockReturnValueOnce("some/path/to/opencode");
+      mockFetch.mockResolvedValueOnce({ ok: false, status: 401, statusText: "Unauthorized", text: () => Promise.resolve("") });
+      mockFiles({ [MODELS_CACHE]: cacheFile(new Date().toISOString()) });
+
+      await expect(main()).rejects.toThrow("EXIT_1");
+
+      expect(mockConsoleError).toHaveBeenCalledWith("Error: 401 Unauthorized: the API key was rejected");
+    });
+  });
+
+  describe("main function with --models-file", () => {
+    const originalArgv = process.argv;
+
+    afterEach(() => {
+      process.argv = originalArgv;
+    });
+
+    test("should generate the config from a saved payload without an API key", async () => {
+      process.argv = ["node", "index.mjs", "--models-file", "/artifacts/models.json"];
+      delete process.env.NEXOS_API_KEY;
+      mockExecSync.mockReturnValueOnce("some/path/to/opencode");
+      mockFiles({ "/artifacts/models.json": JSON.stringify({ data: [{ id: "gpt-5", name: "GPT 5" }, { id: "kimi-k2-5", name: "Kimi K2.5" }] }) });
+
+      await main();
+
+      expect(mockFetch).not.toHaveBeenCalled();
+      expect(mockConsoleError).toHaveBeenCalledWith("Loaded 2 models from /artifacts/models.json");
+      const models = JSON.parse(configWrites()[0][1]).provider["nexos-ai"].models;
+      expect(Object.keys(models)).toEqual(["GPT 5", "Kimi K2.5"]);
+      expect(mockWriteFile.mock.calls.some(([path]) => path === MODELS_CACHE)).toBe(false);
+    });
+
+    test("should exit when the models file is missing", async () => {
+      process.argv = ["node", "index.mjs", "--models-file", "/artifacts/missing.txt"];
+      mockExecSync.mockReturnValueOnce("some/path/to/opencode");
+
+      await expect(main()).rejects.toThrow("EXIT_1");
+
+      expect(mockConsoleError).toHaveBeenCalledWith("Error: /artifacts/missing.txt: file not found");
+      expect(configWrites()).toHaveLength(0);
+    });
+
+    test("should refuse --offline together with --models-file", async () => {
+      process.argv = ["node", "index.mjs", "--offline", "--models-file", "/artifacts/models.json"];
+
+      await expect(main()).rejects.toThrow("EXIT_1");
+
+      expect(mockConsoleError).toHaveBeenCalledWith("Error: --offline and --models-file cannot be used together");
+    });
+  });
+
+  describe("proxy and CA support", () => {
+    const originalArgv = process.argv;
+    const settings = (overrides) => ({ proxy: null, noProxy: null, bypassed: false, caFiles: [], ...overrides });
+
+    afterEach(() => {
+      process.argv = originalArgv;
+      delete process.env.HTTPS_PROXY;
+    });
+
+    test("createDispatcher should not replace the default fetch setup when nothing is configured", async () => {
+      expect(await createDispatcher(settings())).toBeNull();
+      expect(await createDispatcher(settings({ caFiles: [{ path: "/etc/extra.pem", source: "NODE_EXTRA_CA_CERTS" }] }))).toBeNull();
+      expect(await createDispatcher(settings({ proxy: { url: "http://proxy:8080", source: "HTTPS_PROXY" }, bypassed: true }))).toBeNull();
+    });
+
+    test("createDispatcher should use a proxy agent for an active proxy", async () => {
+      const dispatcher = await createDispatcher(settings({ proxy: { url: "http://proxy:8080", source: "HTTPS_PROXY" } }));
+      expect(dispatcher.constructor.name).toBe("ProxyAgent");
+      await dispatcher.close();
+    });
+
+    test("createDispatcher should read every CA file when --ca-file is given", async () => {
+      mockFiles({ "/etc/corp.pem": "CORP", "/etc/extra.pem": "EXTRA" });
+      const dispatcher = await createDispatcher(settings({ caFiles: [
+        { path: "/etc/corp.pem", source: "--ca-file" },
+        { path: "/etc/extra.pem", source: "NODE_EXTRA_CA_CERTS" },
+      ] }));
+
+      expect(dispatcher.constructor.name).toBe("Agent");
+      expect(mockReadFile).toHaveBeenCalledWith("/etc/corp.pem", "utf-8");
+      expect(mockReadFile).toHaveBeenCalledWith("/etc/extra.pem", "utf-8");
+      await dispatcher.close();
+    });
+
+    test("should send API requests through the proxy and list settings with --verbose", async () => {
+      process.argv = ["node", "index.mjs", "list", "--verbose"];
+      process.env.HTTPS_PROXY = "http://proxy.corp:8080";
+      mockFetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ data: [] }) });
+
+      await main();
+
+      const [, init] = mockFetch.mock.calls[0];
+      expect(init.dispatcher.constructor.name).toBe("ProxyAgent");
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining("Proxy: http://proxy.corp:8080/ (from HTTPS_PROXY)"));
+      await init.dispatcher.close();
+    });
+
+    test("should exit when the CA file cannot be read", async () => {
+      process.argv = ["node", "index.mjs", "--ca-file", "/etc/missing.pem"];
+
+      await expect(main()).rejects.toThrow("EXIT_1");
+
+      expect(mockConsoleError).toHaveBeenCalledWith("Error: cannot read CA file /etc/missing.pem: file not found");
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    test("should suggest --ca-file when the certificate is not trusted", async () => {
+      mockFetch.mockRejectedValueOnce(new TypeError("fetch failed", { cause: { code: "SELF_SIGNED_CERT_IN_CHAIN" } }));
+
+      const error = await fetchModelsFromApi("nexos-test-key", "https://api.nexos.ai/v1").catch((err) => err);
+
+      expect(error.hint).toContain("--ca-file");
+    });
+  });
+
+  describe("validate command", () => {
+    const originalArgv = process.argv;
+    const validConfig = {
+      provider: { "nexos-ai": { models: { "GPT 5": { limit: { context: 400000, output: 128000 }, cost: { input: 1, output: 10 } } } } },
+    };
+
+    afterEach(() => {
+      process.argv = originalArgv;
+    });
+
+    test("should report a valid config without needing an API key", async () => {
+      process.argv = ["node", "index.mjs", "validate"];
+      delete process.env.NEXOS_API_KEY;
+      mockFiles({ [GLOBAL_CONFIG]: JSON.stringify(validConfig) });
+
+      await expect(main()).rejects.toThrow("EXIT_0");
+
+      expect(mockConsoleLog).toHaveBeenCalledWith(`\x1b[32m✓\x1b[0m ${GLOBAL_CONFIG}`);
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    test("should list problems with JSON paths and exit 1", async () => {
+      process.argv = ["node", "index.mjs", "validate", "/work/opencode.json"];
+      mockFiles({ "/work/opencode.json": JSON.stringify({
+        provider: { "nexos-ai": { models: { "GPT 5": { limit: { context: 1000, output: 2000 }, cost: { input: -1, output: 10 } } } } },
+      }) });
+
+      await expect(main()).rejects.toThrow("EXIT_1");
+
+      expect(mockConsoleLog).toHaveBeenCalledWith("\x1b[31m✗\x1b[0m /work/opencode.json: 2 problem(s)");
+      const output = mockConsoleLog.mock.calls.map((c) => c[0]).join("\n");
+      expect(output).toContain('$.provider["nexos-ai"].models["GPT 5"].limit: context (1000) must be greater than or equal to output (2000)');
+      expect(output).toContain('$.provider["nexos-ai"].models["GPT 5"].cost.input: must be a non-negative number');
+    });
+
+    test("should report files that cannot be parsed or do not exist", async () => {
+      process.argv = ["node", "index.mjs", "validate", "/work/broken.json", "/work/missing.json"];
+      mockFiles({ "/work/broken.json": "{ \"provider\": " });
+
+      await expect(main()).rejects.toThrow("EXIT_1");
+
+      const output = mockConsoleLog.mock.calls.map((c) => c[0]).join("\n");
+      expect(output).toContain("/work/broken.json:1:");
+      expect(output).toContain("/work/missing.json: file not found or empty");
+    });
+
+    test("should warn after writing a config that does not pass validation", async () => {
+      process.argv = ["node", "index.mjs"];
+      mockExecSync.mockReturnValueOnce("some/path/to/opencode");
+      mockFetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ data: [{ id: "gpt-5", name: "GPT 5" }] }) });
+      mockFiles({ [GLOBAL_CONFIG]: JSON.stringify({
+        provider: { "nexos-ai": { models: { "GPT 5": { cost: { input: -2, output: 10 } } } } },
+      }, null, 2) + "\n" });
+
+      await main();
+
+      expect(configWrites()).toHaveLength(1);
+      expect(mockConsoleError).toHaveBeenCalledWith(`\nWarning: ${GLOBAL_CONFIG} does not pass validation (1 problem(s)):`);
+      expect(mockConsoleError).toHaveBeenCalledWith('  $.provider["nexos-ai"].models["GPT 5"].cost.input: must be a non-negative number');
+    });
+  });
+
+  describe("main function with stale agent models", () => {
+    const originalArgv = process.argv;
+
+    afterEach(() => {
+      process.argv = originalArgv;
+    });
+
+    const setup = () => {
+      mockExecSync.mockReturnValueOnce("some/path/to/opencode");
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ data: [{ id: "claude-opus-4-6", name: "Claude Opus 4.6" }, { id: "gpt-5", name: "GPT 5" }] }),
+      });
+      mockFiles({ [GLOBAL_CONFIG]: JSON.stringify({
+        agent: { build: { model: "nexos-ai/Claude Opus 4.5", temperature: 0.1 }, plan: { model: "nexos-ai/GPT 5" } },
+      }, null, 2) + "\n" });
+    };
+
+    test("should list stale agents with suggestions and leave them unchanged", async () => {
+      process.argv = ["node", "index.mjs"];
+      setup();
+
+      await main();
+
+      expect(mockConsoleError).toHaveBeenCalledWith("  build: nexos-ai/Claude Opus 4.5 (suggested: Claude Opus 4.6)");
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining("--auto-remap"));
+      expect(JSON.parse(configWrites()[0][1]).agent.build.model).toBe("nexos-ai/Claude Opus 4.5");
+    });
+
+    test("should remap stale agents in the same write with --auto-remap", async () => {
+      process.argv = ["node", "index.mjs", "--auto-remap"];
+      setup();
+
+      await main();
+
+      expect(configWrites()).toHaveLength(1);
+      const { agent } = JSON.parse(configWrites()[0][1]);
+      expect(agent.build).toEqual({ model: "nexos-ai/Claude Opus 4.6", temperature: 0.1 });
+      expect(agent.plan.model).toBe("nexos-ai/GPT 5");
+      expect(mockConsoleError).toHaveBeenCalledWith("Agents remapped: build");
+    });
+
+    test("should preview the suggested remap in a terminal with --dry-run instead of prompting", async () => {
+      process.argv = ["node", "index.mjs", "--dry-run"];
+      const originalIsTTY = process.stdin.isTTY;
+      process.stdin.isTTY = true;
+      setup();
+
+      try {
+        await main();
+      } finally {
+        process.stdin.isTTY = originalIsTTY;
+      }
+
+      expect(configWrites()).toHaveLength(0);
+      expect(mockConsoleError).toHaveBeenCalledWith("  Remapped build: Claude Opus 4.6");
+      expect(mockConsoleError).not.toHaveBeenCalledWith(expect.stringContaining("Run with --auto-remap"));
+    });
+  });
+
+  describe("main function with JSONC config", () => {
+    test("should update opencode.jsonc and keep comments outside managed keys", async () => {
+      const original = [
+        "{",
+        '  "$schema": "https://opencode.ai/config.json",',
+        "  // my MCP servers",
+        '  "mcp": { "local": { "type": "local" } },',
+        '  "provider": {',
+        '    "nexos-ai": {}',
+        "  },",
+        "}",
+        "",
+      ].join("\n");
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ data: [{ id: "gpt-5", name: "GPT 5" }] }),
+      });
+      mockExecSync.mockReturnValueOnce("some/path/to/opencode");
+      mockAccess.mockResolvedValueOnce(undefined);
+      mockFiles({ "/home/testuser/.config/opencode/opencode.jsonc": original });
+
+      await main();
+
+      const [path, written] = configWrites()[0];
+      expect(path).toBe("/home/testuser/.config/opencode/opencode.jsonc");
+      expect(written).toContain('  // my MCP servers\n  "mcp": { "local": { "type": "local" } },');
+      expect(written).toContain('"GPT 5": {');
+      expect(written.endsWith("  },\n}\n")).toBe(true);
+    });
+  });
+
+  describe("main function with --dry-run", () => {
+    const originalArgv = process.argv;
+
+    afterEach(() => {
+      process.argv = originalArgv;
+    });
+
+    test("should print a diff and not write the config", async () => {
+      process.argv = ["node", "index.mjs", "--dry-run"];
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ data: [
+          { id: "gpt-5-mini-2025-08-07", name: "GPT 5.2", context_window: 400000, max_output_tokens: 128000 },
+        ] }),
+      });
+      mockExecSync.mockReturnValueOnce("some/path/to/opencode");
+      mockFiles({ [GLOBAL_CONFIG]: JSON.stringify({
+        provider: { "nexos-ai": { models: { "Old Model": { name: "Old Model" } } } },
+      }) });
+
+      await main();
+
+      expect(configWrites()).toHaveLength(0);
+      expect(mockMkdir).not.toHaveBeenCalled();
+      expect(mockCopyFile).not.toHaveBeenCalled();
+      const output = mockConsoleLog.mock.calls.map((c) => c[0]).join("\n");
+      expect(output).toContain("+ GPT 5.2");
+      expect(output).toContain("- Old Model");
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining("Dry run: no changes written to /home/testuser/.config/opencode/opencode.json"));
+    });
+  });
+
+  describe("selectAgentModels", () => {
+    test("should skip when no agents selected from checkbox", async () => {
+      const mockPrompts = {
+        checkbox: jest.fn(async () => []),
+        search: jest.fn(),
+      };
+
+      const config = { agent: { build: { model: "nexos-ai/Old Model" } } };
+      const result = await selectAgentModels(config, ["Model A"], "nexos-ai", mockPrompts);
+      expect(result).toBe(false);
+      expect(mockConsoleError).toHaveBeenCalledWith(
+        expect.stringContaining("No agents selected")
+      );
+    });
+
+    test("should update agent models via inquirer search", async () => {
+      const mockSearchCounter = { count: 0 };
+      const mockPrompts = {
+        checkbox: jest.fn(async () => ["build", "plan"]),
+        search: jest.fn(async () => {
+          mockSearchCounter.count++;
+          return mockSearchCounter.count === 1 ? "nexos-ai/Claude Opus 4.6" : "nexos-ai/Gemini 2.5 Flash";
+        }),
+      };
+      const mockSlider = jest.fn(async () => 0.2);
+
+      const config = {
+        agent: {
+          build: { mode: "primary", model: "nexos-ai/Old Model", description: "Build agent" },
+          plan: { mode: "primary", model: "nexos-ai/Old Plan Model" },
+        },
+      };
+
+      const result = await selectAgentModels(config, ["Claude Opus 4.6", "Gemini 2.5 Flash"], "nexos-ai", mockPrompts, mockSlider);
+
+      expect(result).toBe(true);
+      expect(config.agent.build.model).toBe("nexos-ai/Claude Opus 4.6");
+      expect(config.agent.plan.model).toBe("nexos-ai/Gemini 2.5 Flash");
+    });
+
+    test("should create new agents if not existing", async () => {
+      const mockPrompts = {
+        checkbox: jest.fn(async () => ["build"]),
+        search: jest.fn(async () => "nexos-ai/GPT 5"),
+      };
+      const mockSlider = jest.fn(async () => 0.2);
+
+      const config = {};
+      const result = await selectAgentModels(config, ["GPT 5"], "nexos-ai", mockPrompts, mockSlider);
+
+      expect(result).toBe(true);
+      expect(config.agent.build.model).toBe("nexos-ai/GPT 5");
+    });
+
+    test("should add all default agents when no agents exist", async () => {
+      const mockPrompts = {
+        checkbox: jest.fn(),
+        search: jest.fn(async () => "nexos-ai/Claude Opus 4.5"),
+      };
+      const mockSlider = jest.fn(async () => 0.2);
+
+      const config = { agent: {} };
+      const result = await selectAgentModels(config, ["Claude Opus 4.5"], "nexos-ai", mockPrompts, mockSlider);
+
+      expect(result).toBe(true);
+      expect(mockPrompts.checkbox).not.toHaveBeenCalled();
+      expect(config.agent.build).toBeDefined();
+      expect(config.agent["build-fast"]).toBeDefined();
+      expect(config.agent["build-heavy"]).toBeDefined();
+      expect(config.agent.plan).toBeDefined();
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining("No agents configured, adding all defaults"));
+    });
+
+    test("should apply default permissions for plan agent", async () => {
+      const mockPrompts = {
+        checkbox: jest.fn(),
+        search: jest.fn(async () => "nexos-ai/Claude Sonnet 4.5"),
+      };
+      const mockSlider = jest.fn(async () => 0.3);
+
+      const config = { agent: {} };
+      await selectAgentModels(config, ["Claude Sonnet 4.5"], "nexos-ai", mockPrompts, mockSlider);
 
       expect(config.agent.plan.permission).toBeDefined();
       expect(config.agent.plan.permission.edit).toBe("deny");
@@ -567,6 +2441,21 @@ describe("Integration Tests", () => {
       expect(config.agent.plan.description).toBe("Custom description");
     });
 
+    test("should not offer stale nexos models that are no longer in the list", async () => {
+      const mockPrompts = {
+        checkbox: jest.fn(async () => ["build"]),
+        search: jest.fn(async () => "nexos-ai/Claude Opus 4.6"),
+      };
+      const mockSlider = jest.fn(async () => 0.2);
+
+      const config = { agent: { build: { model: "nexos-ai/Claude Opus 4.5" } } };
+      await selectAgentModels(config, ["Claude Opus 4.6"], "nexos-ai", mockPrompts, mockSlider);
+
+      const { source, default: defaultValue } = mockPrompts.search.mock.calls[0][0];
+      expect(source("").map((c) => c.value)).toEqual(["nexos-ai/Claude Opus 4.6"]);
+      expect(defaultValue).toBeUndefined();
+    });
+
     test("should include existing model in choices even if not in nexos list", async () => {
       const mockPrompts = {
         checkbox: jest.fn(async () => ["build"]),
@@ -1,11 +1,22 @@
 #!/usr/bin/env node
 
-import { readFile, writeFile, mkdir } from "node:fs/promises";
+import { readFile, writeFile, appendFile, mkdir, copyFile, readdir, unlink, access } from "node:fs/promises";
 import { homedir } from "node:os";
-import { join, dirname } from "node:path";
+import { join, dirname, basename, resolve } from "node:path";
 import { execSync } from "node:child_process";
+import { rootCertificates } from "node:tls";
 import { parseArgs } from "node:util";
 import readline from "node:readline";
+import {
+  parse as parseJsonc,
+  parseTree,
+  findNodeAtLocation,
+  applyEdits,
+  modify,
+  printParseErrorCode,
+} from "jsonc-parser";
+import Ajv from "ajv";
+import { OPENCODE_SCHEMA } from "./opencode.schema.mjs";
 import {
   getModelVariants,
   getModelOptions,
@@ -13,7 +24,17 @@ import {
   getModelLimit,
   getModelCost,
   getModelModalities,
+  getModelConfig,
+  getMatchedRule,
+  matchesPattern,
+  formatPattern,
   isModelSupported,
+  clone,
+  setUserModels,
+  validateModelCatalog,
+  KNOWN_MODALITIES,
+  LONG_CONTEXT_COST_KEY,
+  LONG_CONTEXT_THRESHOLD,
 } from "./models.config.mjs";
 
 export async function temperatureSlider(message, defaultValue = 0.2) {
@@ -101,20 +122,71 @@ export function checkDependencies() {
   }
 }
 
+// Options whose value is optional (`--restore [time]`, `--preset [name]`)
+const OPTIONAL_VALUE_OPTIONS = ["restore", "preset"];
+
+// parseArgs takes the next argument as the value of a string option, even another flag
+// (`--preset --dry-run`). Bare optional-value options are removed and returned separately.
+function extractBareOptions(args, names) {
+  const bare = [];
+  const rest = args.filter((arg, i) => {
+    if (!names.some((name) => arg === `--${name}`)) return true;
+    const next = args[i + 1];
+    if (next !== undefined && !next.startsWith("-")) return true;
+    bare.push(arg.slice(2));
+    return false;
+  });
+  return { args: rest, bare };
+}
+
 export function parseCliArgs(argv) {
-  const { values } = parseArgs({
-    args: argv.slice(2),
+  const { args, bare } = extractBareOptions(argv.slice(2), OPTIONAL_VALUE_OPTIONS);
+
+  const { values, positionals } = parseArgs({
+    args,
     options: {
       "select-agents": { type: "boolean", short: "s", default: false },
+      "agent": { type: "string", multiple: true },
+      "agent-temperature": { type: "string", multiple: true },
+      "agents-file": { type: "string" },
+      "preset": { type: "string" },
       "supported-models": { type: "string", short: "m" },
       "custom-costs": { type: "boolean", short: "c", default: false },
+      "edit-variants": { type: "boolean", default: false },
+      "include": { type: "string", multiple: true },
+      "exclude": { type: "string", multiple: true },
+      "prune-pinned": { type: "boolean", default: false },
+      "since": { type: "string" },
+      "until": { type: "string" },
+      "storage-dir": { type: "string" },
+      "input-tokens": { type: "string" },
+      "output-tokens": { type: "string" },
+      "cache-read-tokens": { type: "string" },
+      "cache-write-tokens": { type: "string" },
       "output": { type: "string", short: "o" },
+      "catalog": { type: "string" },
+      "scope": { type: "string", multiple: true },
+      "dry-run": { type: "boolean", default: false },
+      "diff": { type: "boolean", default: false },
+      "keep-backups": { type: "string" },
+      "list-backups": { type: "boolean", default: false },
+      "restore": { type: "string" },
+      "force": { type: "boolean", short: "f", default: false },
+      "format": { type: "string", default: "table" },
+      "timeout": { type: "string" },
+      "offline": { type: "boolean", default: false },
+      "models-file": { type: "string" },
+      "ca-file": { type: "string" },
+      "verbose": { type: "boolean", default: false },
+      "auto-remap": { type: "boolean", default: false },
       "help": { type: "boolean", short: "h", default: false },
       "version": { type: "boolean", short: "v", default: false },
     },
     strict: false,
+    allowPositionals: true,
   });
-  return values;
+  for (const name of bare) values[name] = true;
+  return { ...values, command: positionals[0], commandArgs: positionals.slice(1) };
 }
 
 export function parseSupportedModelsFlag(value) {
@@ -128,27 +200,103 @@ export function parseSupportedModelsFlag(value) {
   return true;
 }
 
+export const DEFAULT_BACKUP_RETENTION = 10;
+
+export function parseBackupRetention(value) {
+  if (value === undefined) return DEFAULT_BACKUP_RETENTION;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) return null;
+  return count;
+}
+
 export function showHelp() {
-  console.log(`Usage: opencode-nexos-models-config [options]
+  console.log(`Usage: opencode-nexos-models-config [command] [options]
 
 Fetch available models from Nexos AI API and generate opencode configuration.
 
+Commands:
+  list                    Print the models offered by the API without writing any config
+  validate [paths...]     Check configs against the opencode schema and nexos rules
+                          (default: the config selected by --scope/--output)
+  usage                   Total tokens and cost per model and agent from opencode's session data
+  compare-costs [profile] Rank models by the projected cost of a workload
+                          (quick fix, code review, feature, large refactor, or profiles.json)
+
 Options:
   -h, --help              Show this help message
   -v, --version           Show version number
   -o, --output <path>     Write config to custom file path
+      --scope <scope>     Config to update: global, project or both (repeatable)
+      --catalog <path>    User model catalog (default: ~/.config/opencode-nexos/models.json)
   -s, --select-agents     Interactively select models for agents
+      --agent <a>=<model> Assign a model to an agent without prompts (repeatable)
+      --agent-temperature <a>=<t>
+                          Set an agent's temperature, 0-1 (repeatable)
+      --agents-file <path>
+                          Assign agents from a JSON file
+      --preset [name]     Apply an agent preset (budget, premium, or from presets.json);
+                          without a name, pick one interactively
+      --auto-remap        Point agents whose model no longer exists at the suggested replacement
   -m, --supported-models  Only include models with predefined costs (default: true)
+      --include <pattern> Only include models matching a glob or /regex/ (repeatable)
+      --exclude <pattern> Leave out models matching a glob or /regex/ (repeatable)
+      --prune-pinned      Drop pinned models the API no longer returns (see Files)
   -c, --custom-costs      Interactively set custom costs for models
+      --edit-variants     Interactively add, change, rename or remove model variants
+      --dry-run, --diff   Show what would change in the config without writing it
+      --keep-backups <n>  Number of config backups to keep (default: 10, 0 disables)
+      --list-backups      List available config backups
+      --restore [time]    Restore the config from a backup (default: most recent)
+  -f, --force             Replace a config file that cannot be parsed (a backup is kept)
+      --format <format>   Output format: table, json or csv for list and compare-costs,
+                          table or json for usage (default: table)
+      --since <date>      Start of the usage period: YYYY-MM-DD, ISO timestamp or e.g. 7d
+      --until <date>      End of the usage period (inclusive for YYYY-MM-DD)
+      --storage-dir <path>
+                          opencode storage directory (default: ~/.local/share/opencode/storage)
+      --input-tokens <n>  Input tokens of the compare-costs workload (e.g. 200k, 1.5M)
+      --output-tokens <n> Output tokens of the compare-costs workload
+      --cache-read-tokens <n>, --cache-write-tokens <n>
+                          Cached tokens of the compare-costs workload
+      --timeout <seconds> Timeout for each Nexos AI API request (default: 30)
+      --offline           Use the cached model list instead of calling the API
+      --models-file <path>
+                          Use models from a saved /models response or a list of names
+                          instead of calling the API (no API key needed)
+      --ca-file <path>    Trust extra CA certificates (PEM) for the Nexos AI API
+      --verbose           Print network settings (proxy, CA certificates)
+
+Files (in ~/.config/opencode-nexos/):
+  models.json          Extra model definitions (see --catalog)
+  filters.json         Default --include/--exclude patterns
+  overrides.json       Per-model settings kept across refreshes
+  pinned.json          Models kept when the API stops returning them. Pins are not
+                       stored in opencode.json: opencode's config has no pin field,
+                       and one pin can cover several configs
+  presets.json         Agent presets for --preset
+  profiles.json        Workloads for compare-costs
 
 Environment variables:
   NEXOS_API_KEY        Your Nexos AI API key (required)
   NEXOS_BASE_URL       Custom API base URL (default: https://api.nexos.ai/v1)
+  HTTPS_PROXY          Proxy for API requests (HTTP_PROXY is used as a fallback)
+  NO_PROXY             Hosts that bypass the proxy
+  NODE_EXTRA_CA_CERTS  Extra CA certificates (PEM) to trust
 
 Examples:
   opencode-nexos-models-config                    # Use supported models only (default)
   opencode-nexos-models-config -m false           # Include all models
   opencode-nexos-models-config --supported-models=false
+  opencode-nexos-models-config --dry-run          # Preview changes without writing
+  opencode-nexos-models-config --restore          # Undo the last write
+  opencode-nexos-models-config --scope global --scope project
+  opencode-nexos-models-config --agent build="Claude Opus 4.6" --agent-temperature build=0.2
+  opencode-nexos-models-config --preset budget
+  opencode-nexos-models-config --include "Claude *" --include "GPT 5*" --exclude "*Instant*"
+  opencode-nexos-models-config list --format csv > models.csv
+  opencode-nexos-models-config validate --scope project
+  opencode-nexos-models-config usage --since 30d
+  opencode-nexos-models-config compare-costs "large refactor"
 `);
 }
 
@@ -190,6 +338,208 @@ const AGENT_DEFAULTS = {
   },
 };
 
+// Whole agent lineups that can be applied in one step with --preset
+export const AGENT_PRESETS = {
+  budget: {
+    build: { model: "Kimi K2.5", temperature: 0.2 },
+    "build-fast": { model: "Gemini 2.5 Flash", temperature: 0.2, variant: "low" },
+    "build-heavy": { model: "GPT 5.3 Codex", temperature: 0.1, variant: "high" },
+    plan: { model: "Gemini 2.5 Flash", temperature: 0.3 },
+    creative: { model: "Kimi K2.5", temperature: 0.7 },
+  },
+  premium: {
+    build: { model: "Claude Sonnet 4.6", temperature: 0.2 },
+    "build-fast": { model: "Claude Sonnet 4.6", temperature: 0.2, variant: "low" },
+    "build-heavy": { model: "Claude Opus 4.6", temperature: 0.1, variant: "high" },
+    plan: { model: "GPT 5.4", temperature: 0.3, variant: "high" },
+    creative: { model: "Claude Opus 4.6", temperature: 0.7 },
+  },
+};
+
+function applyAgentDefaults(agentName, agentConfig) {
+  const defaults = AGENT_DEFAULTS[agentName];
+  if (!defaults) return;
+  if (defaults.temperature !== undefined && agentConfig.temperature === undefined) {
+    agentConfig.temperature = defaults.temperature;
+  }
+  if (defaults.description && !agentConfig.description) {
+    agentConfig.description = defaults.description;
+  }
+  if (defaults.permission && !agentConfig.permission) {
+    agentConfig.permission = defaults.permission;
+  }
+}
+
+export class AgentAssignmentError extends Error {
+  constructor(errors) {
+    super(`Invalid agent assignment:\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+    this.name = "AgentAssignmentError";
+    this.errors = errors;
+  }
+}
+
+function splitAssignment(flag, value) {
+  const index = typeof value === "string" ? value.indexOf("=") : -1;
+  if (index <= 0) {
+    throw new AgentAssignmentError([`${flag} expects <agent>=<value>, got "${value}"`]);
+  }
+  return [value.slice(0, index).trim(), value.slice(index + 1).trim()];
+}
+
+// Collects --agent, --agent-temperature and --agents-file entries into
+// { [agentName]: { model, temperature, variant } }, later sources win
+export function parseAgentAssignments(agentFlags = [], temperatureFlags = [], fileAssignments = {}) {
+  const assignments = {};
+  const errors = [];
+  const entryFor = (name) => (assignments[name] ||= {});
+
+  if (!asObject(fileAssignments) || Array.isArray(fileAssignments)) {
+    throw new AgentAssignmentError(["agents file must be an object mapping agent names to models"]);
+  }
+  for (const [name, value] of Object.entries(fileAssignments)) {
+    if (typeof value === "string") {
+      entryFor(name).model = value;
+    } else if (asObject(value) && !Array.isArray(value)) {
+      const { model, temperature, variant } = value;
+      Object.assign(entryFor(name), {
+        ...(model !== undefined ? { model } : {}),
+        ...(temperature !== undefined ? { temperature } : {}),
+        ...(variant !== undefined ? { variant } : {}),
+      });
+    } else {
+      errors.push(`${name}: must be a model name or an object with model/temperature/variant`);
+    }
+  }
+
+  for (const value of agentFlags) {
+    const [name, model] = splitAssignment("--agent", value);
+    entryFor(name).model = model;
+  }
+
+  for (const value of temperatureFlags) {
+    const [name, temperature] = splitAssignment("--agent-temperature", value);
+    entryFor(name).temperature = temperature === "" ? NaN : Number(temperature);
+  }
+
+  if (errors.length > 0) throw new AgentAssignmentError(errors);
+  return assignments;
+}
+
+// Applies assignments with the same defaults as selectAgentModels(); everything is
+// validated against the generated models first so a bad entry changes nothing
+export function applyAgentAssignments(config, assignments, models, providerName) {
+  const errors = [];
+  const resolved = [];
+
+  for (const [agentName, assignment] of Object.entries(assignments)) {
+    const existingModel = asObject(config.agent?.[agentName])?.model;
+    let modelId;
+    if (assignment.model !== undefined) {
+      const prefix = `${providerName}/`;
+      const modelName = typeof assignment.model === "string" && assignment.model.startsWith(prefix)
+        ? assignment.model.slice(prefix.length)
+        : assignment.model;
+      if (typeof modelName !== "string" || !Object.hasOwn(models, modelName)) {
+        errors.push(`${agentName}: model "${assignment.model}" is not in the generated model list`);
+        continue;
+      }
+      modelId = `${prefix}${modelName}`;
+    } else if (!existingModel) {
+      errors.push(`${agentName}: no model assigned`);
+      continue;
+    }
+
+    const { temperature, variant } = assignment;
+    if (temperature !== undefined && (typeof temperature !== "number" || !(temperature >= 0 && temperature <= 1))) {
+      errors.push(`${agentName}: temperature must be a number between 0 and 1`);
+      continue;
+    }
+
+    if (variant !== undefined) {
+      const modelName = (modelId || existingModel).slice(`${providerName}/`.length);
+      const variants = asObject(models[modelName]?.variants) || {};
+      if (!Object.hasOwn(variants, variant)) {
+        const available = Object.keys(variants);
+        errors.push(`${agentName}: variant "${variant}" is not defined for ${modelName}` +
+          (available.length > 0 ? ` (available: ${available.join(", ")})` : ""));
+        continue;
+      }
+    }
+
+    resolved.push({ agentName, modelId, temperature, variant });
+  }
+
+  if (errors.length > 0) throw new AgentAssignmentError(errors);
+
+  if (!config.agent || typeof config.agent !== "object") {
+    config.agent = {};
+  }
+  for (const { agentName, modelId, temperature, variant } of resolved) {
+    if (!config.agent[agentName]) {
+      config.agent[agentName] = {};
+    }
+    const agentConfig = config.agent[agentName];
+    applyAgentDefaults(agentName, agentConfig);
+    if (modelId) agentConfig.model = modelId;
+    if (temperature !== undefined) agentConfig.temperature = temperature;
+    if (variant !== undefined) agentConfig.variant = variant;
+  }
+  return resolved.length > 0;
+}
+
+export async function loadAgentPresets(presetsPath) {
+  let raw;
+  try {
+    raw = await readFile(presetsPath, "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") return clone(AGENT_PRESETS);
+    throw err;
+  }
+
+  const syntaxError = findConfigSyntaxError(raw);
+  if (syntaxError) {
+    throw new ConfigParseError(presetsPath, syntaxError.reason, syntaxError.line, syntaxError.column);
+  }
+
+  const userPresets = parseJsonc(raw, [], { allowTrailingComma: true });
+  if (!isPlainObject(userPresets)) {
+    throw new AgentAssignmentError(["presets file must be an object mapping preset names to agent lineups"]);
+  }
+  for (const [name, preset] of Object.entries(userPresets)) {
+    if (!isPlainObject(preset)) {
+      throw new AgentAssignmentError([`preset "${name}": must be an object mapping agent names to models`]);
+    }
+    try {
+      parseAgentAssignments([], [], preset);
+    } catch (err) {
+      if (!(err instanceof AgentAssignmentError)) throw err;
+      throw new AgentAssignmentError(err.errors.map((e) => `preset "${name}": ${e}`));
+    }
+  }
+  return { ...clone(AGENT_PRESETS), ...userPresets };
+}
+
+export function describePreset(preset) {
+  return Object.entries(preset)
+    .map(([agentName, entry]) => {
+      const { model, variant } = typeof entry === "string" ? { model: entry } : entry;
+      return `${agentName}: ${model}${variant ? ` (${variant})` : ""}`;
+    })
+    .join(", ");
+}
+
+export async function selectPreset(presets, prompts = null) {
+  const { select } = prompts || await import("@inquirer/prompts");
+  return select({
+    message: "Select an agent preset:",
+    choices: Object.entries(presets).map(([name, preset]) => ({
+      name,
+      value: name,
+      description: describePreset(preset),
+    })),
+  });
+}
+
 export async function selectAgentModels(config, modelNames, providerName, prompts = null, sliderFn = null) {
   const { search, checkbox } = prompts || await import("@inquirer/prompts");
   const tempSlider = sliderFn || temperatureSlider;
@@ -228,7 +578,9 @@ export async function selectAgentModels(config, modelNames, providerName, prompt
 
   for (const agentName of selectedAgents) {
     const agentConfig = config.agent[agentName];
-    if (agentConfig?.model && !allChoices.some((c) => c.value === agentConfig.model)) {
+    // Models from other providers stay selectable; stale models of this provider would break opencode
+    if (agentConfig?.model && !agentConfig.model.startsWith(`${providerName}/`)
+        && !allChoices.some((c) => c.value === agentConfig.model)) {
       allChoices.unshift({
         name: agentConfig.model,
         value: agentConfig.model,
@@ -244,18 +596,7 @@ export async function selectAgentModels(config, modelNames, providerName, prompt
       config.agent[agentName] = {};
     }
     const agentConfig = config.agent[agentName];
-    if (AGENT_DEFAULTS[agentName]) {
-      const defaults = AGENT_DEFAULTS[agentName];
-      if (defaults.temperature !== undefined && agentConfig.temperature === undefined) {
-        agentConfig.temperature = defaults.temperature;
-      }
-      if (defaults.description && !agentConfig.description) {
-        agentConfig.description = defaults.description;
-      }
-      if (defaults.permission && !agentConfig.permission) {
-        agentConfig.permission = defaults.permission;
-      }
-    }
+    applyAgentDefaults(agentName, agentConfig);
     const currentModel = agentConfig.model || "(not set)";
     const desc = agentConfig.description ? ` - ${agentConfig.description}` : "";
 
@@ -317,8 +658,9 @@ export async function configureCustomCosts(config, modelNames, providerName, sup
       { name: "(Done - don't change more)", value: null },
       ...availableModels.map((name) => {
         const currentCost = modelsConfig[name]?.cost;
+        const longContext = currentCost?.[LONG_CONTEXT_COST_KEY] ? ', >200k tier' : '';
         const costInfo = currentCost
-          ? ` [in: ${currentCost.input || '-'}, out: ${currentCost.output || '-'}]`
+          ? ` [in: ${currentCost.input || '-'}, out: ${currentCost.output || '-'}${longContext}]`
           : ' [no cost set]';
         return {
           name: `${name}${costInfo}`,
@@ -390,6 +732,11 @@ export async function configureCustomCosts(config, modelNames, providerName, sup
       cost.cache_write = currentCost.cache_write;
     }
 
+    const longContext = await askLongContextCost(input, confirm, currentCost[LONG_CONTEXT_COST_KEY]);
+    if (longContext) {
+      cost[LONG_CONTEXT_COST_KEY] = longContext;
+    }
+
     if (Object.keys(cost).length > 0) {
       if (!modelsConfig[selectedModel]) {
         modelsConfig[selectedModel] = {};
@@ -408,246 +755,2886 @@ export async function configureCustomCosts(config, modelNames, providerName, sup
   return hasChanges;
 }
 
-export async function getExistingModelCosts() {
-  const configPath = join(homedir(), ".config", "opencode", "opencode.json");
-  try {
-    const raw = await readFile(configPath, "utf-8");
-    const config = JSON.parse(raw);
-    const existingProvider = asObject(config.provider?.["nexos-ai"]);
-    const existingModels = asObject(existingProvider?.models);
-    
-    if (!existingModels) return {};
-    
-    const costs = {};
-    for (const [modelName, modelConfig] of Object.entries(existingModels)) {
-      if (modelConfig?.cost) {
-        costs[modelName] = modelConfig.cost;
+// Prices for prompts over 200k tokens; opencode needs at least input and output for the tier.
+// Blank keeps the current price, "-" drops the whole tier. Returns the current tier when not edited.
+async function askLongContextCost(input, confirm, current) {
+  const threshold = `${LONG_CONTEXT_THRESHOLD / 1000}k`;
+  const edit = await confirm({
+    message: current
+      ? `Edit the prices for prompts over ${threshold} tokens?`
+      : `Set prices for prompts over ${threshold} tokens?`,
+    default: false,
+  });
+  if (!edit) return current || null;
+
+  console.error(`\nPrices for prompts over ${threshold} tokens. Enter "-" to remove them.\n`);
+  const base = current || {};
+  for (;;) {
+    const tier = {};
+    for (const [field, label] of [
+      ["input", "Input"],
+      ["output", "Output"],
+      ["cache_read", "Cache read"],
+      ["cache_write", "Cache write"],
+    ]) {
+      const value = (await input({
+        message: `${label} cost over ${threshold} (current: ${base[field] ?? 'not set'}):`,
+        default: base[field]?.toString() || '',
+      })).trim();
+
+      if (value === '-') return null;
+      if (value !== '' && !isNaN(parseFloat(value))) {
+        tier[field] = parseFloat(value);
+      } else if (base[field] !== undefined) {
+        tier[field] = base[field];
       }
     }
-    return costs;
-  } catch {
-    return {};
+
+    if (Object.keys(tier).length === 0) return null;
+    if (tier.input !== undefined && tier.output !== undefined) return tier;
+    console.error(`\x1b[33mPrices over ${threshold} need both an input and an output cost, please enter them again.\x1b[0m\n`);
+    Object.assign(base, tier);
   }
 }
 
-export async function fetchModelsFromApi(apiKey, apiBaseURL) {
-  const res = await fetch(`${apiBaseURL}/models`, {
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      "Content-Type": "application/json",
-    },
-  });
+export const REASONING_EFFORT_LEVELS = ["minimal", "low", "medium", "high"];
 
-  if (!res.ok) {
-    console.error(`Error: ${res.status} ${res.statusText}`);
-    const body = await res.text();
-    if (body) console.error(body);
-    process.exit(1);
+// Anthropic rejects thinking budgets below this
+export const MIN_THINKING_BUDGET = 1024;
+
+export function validateVariantName(name, existingNames = []) {
+  const trimmed = (name || "").trim();
+  if (!trimmed) return "Variant name cannot be empty";
+  if (!/^[A-Za-z0-9_.-]+$/.test(trimmed)) return "Use letters, digits, '.', '_' or '-' only";
+  if (existingNames.includes(trimmed)) return `Variant "${trimmed}" already exists`;
+  return true;
+}
+
+// Thinking tokens count towards the output, so the budget must stay below limit.output
+export function validateThinkingBudget(value, limit) {
+  const budget = Number(value);
+  if (!Number.isInteger(budget)) return "Budget must be a whole number of tokens";
+  if (budget < MIN_THINKING_BUDGET) return `Budget must be at least ${MIN_THINKING_BUDGET} tokens`;
+  if (limit?.output && budget >= limit.output) {
+    return `Budget must be lower than the model's output limit (${limit.output} tokens)`;
   }
+  return true;
+}
 
-  const data = await res.json();
-  return (data.data || []).sort((a, b) =>
-    getDisplayName(a).toLowerCase().localeCompare(getDisplayName(b).toLowerCase())
-  );
+// "thinking" for budget-based variants, "reasoningEffort" for effort-based ones, null when unknown
+export function getVariantKind(modelConfig) {
+  const variants = Object.values(asObject(modelConfig?.variants) || {});
+  if (variants.some((variant) => variant?.thinking)) return "thinking";
+  if (variants.some((variant) => variant?.reasoningEffort) || modelConfig?.options?.reasoningEffort) {
+    return "reasoningEffort";
+  }
+  return null;
 }
 
-export function processModels(modelsList, existingCosts, supportedModelsOnly) {
-  const models = {};
-  const skippedModels = [];
-  const unsupportedModels = [];
+export function buildVariant(kind, value) {
+  if (kind === "thinking") return { thinking: { type: "enabled", budgetTokens: Number(value) } };
+  return { reasoningEffort: value };
+}
 
-  for (const model of modelsList) {
-    if ((model.name || "").includes("(No PII)")) continue;
+function describeVariant(variant) {
+  if (variant?.thinking?.budgetTokens !== undefined) return `budget ${variant.thinking.budgetTokens}`;
+  if (variant?.reasoningEffort) return `effort ${variant.reasoningEffort}`;
+  return JSON.stringify(variant);
+}
 
-    const displayName = getDisplayName(model);
+async function promptVariantValue(kind, modelConfig, current, { input, select }) {
+  if (kind === "thinking") {
+    const value = await input({
+      message: `Thinking budget in tokens (output limit: ${modelConfig.limit?.output ?? "unknown"}):`,
+      default: current?.thinking?.budgetTokens?.toString() || "",
+      validate: (value) => validateThinkingBudget(value, modelConfig.limit),
+    });
+    return buildVariant(kind, value);
+  }
+  const value = await select({
+    message: "Reasoning effort:",
+    choices: REASONING_EFFORT_LEVELS.map((level) => ({ name: level, value: level })),
+    default: current?.reasoningEffort,
+  });
+  return buildVariant(kind, value);
+}
 
-    if (displayName.toLowerCase().includes("embedding")) continue;
+// Edits the variants of one model in place, returns true when anything changed
+async function editModelVariants(modelName, modelConfig, prompts) {
+  const { input, select } = prompts;
+  let hasChanges = false;
 
-    if (isSkippedModel(displayName)) {
-      skippedModels.push(displayName);
+  while (true) {
+    const variants = asObject(modelConfig.variants) || {};
+    const names = Object.keys(variants);
+    console.error(`\n\x1b[1mVariants of ${modelName}:\x1b[0m`);
+    if (names.length === 0) console.error("  (none)");
+    for (const name of names) console.error(`  - ${name}: ${describeVariant(variants[name])}`);
+
+    const action = await select({
+      message: "What do you want to do?",
+      choices: [
+        { name: "Add a variant", value: "add" },
+        ...(names.length > 0 ? [
+          { name: "Change a variant", value: "edit" },
+          { name: "Rename a variant", value: "rename" },
+          { name: "Remove a variant", value: "remove" },
+        ] : []),
+        { name: "(Done with this model)", value: null },
+      ],
+    });
+    if (!action) return hasChanges;
+
+    if (action === "add") {
+      const name = (await input({
+        message: "Variant name:",
+        validate: (value) => validateVariantName(value, names),
+      })).trim();
+      const kind = getVariantKind(modelConfig) || await select({
+        message: "Variant type:",
+        choices: [
+          { name: "Thinking budget (budgetTokens)", value: "thinking" },
+          { name: "Reasoning effort (reasoningEffort)", value: "reasoningEffort" },
+        ],
+      });
+      modelConfig.variants = { ...variants, [name]: await promptVariantValue(kind, modelConfig, null, prompts) };
+      hasChanges = true;
       continue;
     }
 
-    const limit = getModelLimit(displayName, model);
-    const variants = getModelVariants(displayName);
-    const options = getModelOptions(displayName);
-    const cost = getModelCost(displayName, existingCosts);
-    const modalities = getModelModalities(displayName);
+    const target = await select({
+      message: "Which variant?",
+      choices: names.map((name) => ({ name: `${name} (${describeVariant(variants[name])})`, value: name })),
+    });
 
-    if (supportedModelsOnly) {
-      const isSupported = isModelSupported(displayName);
-      if (!isSupported) {
-        unsupportedModels.push(displayName);
-        continue;
-      }
+    if (action === "edit") {
+      const kind = variants[target]?.thinking ? "thinking" : "reasoningEffort";
+      variants[target] = await promptVariantValue(kind, modelConfig, variants[target], prompts);
+      modelConfig.variants = variants;
+    } else if (action === "rename") {
+      const newName = (await input({
+        message: `New name for "${target}":`,
+        default: target,
+        validate: (value) => value.trim() === target || validateVariantName(value, names),
+      })).trim();
+      // Rebuild the object so the renamed variant keeps its position
+      modelConfig.variants = Object.fromEntries(
+        names.map((name) => [name === target ? newName : name, variants[name]])
+      );
+    } else {
+      delete variants[target];
+      // An empty object (rather than no key) keeps the removal across refreshes
+      modelConfig.variants = variants;
     }
-
-    models[displayName] = {
-      name: displayName,
-      modalities,
-      limit,
-      temperature: true,
-      ...(options ? { options } : {}),
-      ...(variants ? { variants } : {}),
-      ...(cost ? { cost } : {}),
-    };
+    hasChanges = true;
   }
-
-  return { models, skippedModels, unsupportedModels };
 }
 
-export async function loadExistingConfig(configPath) {
-  try {
-    const raw = await readFile(configPath, "utf-8");
-    return JSON.parse(raw);
-  } catch {
-    return {};
+export async function configureVariants(config, modelNames, providerName, supportedModelsOnly = false, prompts = null) {
+  const activePrompts = prompts || await import("@inquirer/prompts");
+  const { search, confirm } = activePrompts;
+
+  const providerConfig = asObject(config.provider?.[providerName]);
+  const modelsConfig = asObject(providerConfig?.models);
+
+  if (!modelsConfig || Object.keys(modelsConfig).length === 0) {
+    console.error("\nNo models configured yet. Run without --edit-variants first.");
+    return false;
   }
-}
 
-export function buildProviderConfig(existingConfig, models, apiBaseURL) {
-  const existingProvider = asObject(existingConfig.provider?.["nexos-ai"]);
-  const existingEnv = uniqueStrings(existingProvider?.env);
+  let availableModels = Object.keys(modelsConfig);
+  if (supportedModelsOnly) {
+    availableModels = availableModels.filter(isModelSupported);
+    if (availableModels.length === 0) {
+      console.error("\nNo supported models found in configuration.");
+      console.error("Run without -m flag to see all models.");
+      return false;
+    }
+  }
 
-  return {
-    npm: existingProvider?.npm || "@crazy-goat/nexos-provider",
-    name: existingProvider?.name || "Nexos AI",
-    env: uniqueStrings(["NEXOS_API_KEY", ...existingEnv]),
-    options: {
-      ...asObject(existingProvider?.options),
-      baseURL: existingProvider?.options?.baseURL || `${apiBaseURL}/`,
-      timeout: existingProvider?.options?.timeout ?? 300000,
-    },
-    models,
-  };
-}
+  console.error("\n\x1b[1m--- Variant Configuration ---\x1b[0m\n");
+  console.error("Use \x1b[36m\u2191\u2193\x1b[0m to navigate, \x1b[36mtype\x1b[0m to filter, \x1b[36mEnter\x1b[0m to select");
+  console.error("Select '\x1b[33m(Done - don't change more)\x1b[0m' when finished\n");
 
-export function buildConfig(existingConfig, providerConfig) {
-  return {
-    $schema: "https://opencode.ai/config.json",
-    ...existingConfig,
-    provider: {
-      ...existingConfig.provider,
-      "nexos-ai": providerConfig,
-    },
-  };
-}
+  let hasChanges = false;
+  let continueEditing = true;
+
+  while (continueEditing) {
+    const choices = [
+      { name: "(Done - don't change more)", value: null },
+      ...availableModels.map((name) => {
+        const variantNames = Object.keys(asObject(modelsConfig[name]?.variants) || {});
+        const variantInfo = variantNames.length > 0 ? ` [${variantNames.join(", ")}]` : " [no variants]";
+        return { name: `${name}${variantInfo}`, value: name };
+      }),
+    ];
+
+    const selectedModel = await search({
+      message: "Select a model to edit its variants (or choose 'Done' to finish):",
+      source: (term) => {
+        const input = (term || "").toLowerCase();
+        return choices.filter((c) => c.name.toLowerCase().includes(input));
+      },
+    });
+
+    if (!selectedModel) break;
+
+    if (!asObject(modelsConfig[selectedModel])) {
+      modelsConfig[selectedModel] = {};
+    }
+    if (await editModelVariants(selectedModel, modelsConfig[selectedModel], activePrompts)) {
+      hasChanges = true;
+      console.error(`\n\x1b[32m\u2713 Updated variants for ${selectedModel}\x1b[0m\n`);
+    }
+
+    continueEditing = await confirm({
+      message: "Edit variants of another model?",
+      default: true,
+    });
+  }
 
-export function serializeConfig(config) {
-  return JSON.stringify(config, null, 2) + "\n";
+  return hasChanges;
 }
 
-export async function saveConfig(config, configPath) {
-  await mkdir(dirname(configPath), { recursive: true });
-  await writeFile(configPath, serializeConfig(config), "utf-8");
+export function getToolConfigDir() {
+  return join(homedir(), ".config", "opencode-nexos");
 }
 
-export async function main() {
-  const cliArgs = parseCliArgs(process.argv);
-  
-  const supportedModelsOnly = parseSupportedModelsFlag(cliArgs["supported-models"]);
+export class ModelCatalogError extends Error {
+  constructor(catalogPath, errors) {
+    super(`Invalid model catalog ${catalogPath}:\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+    this.name = "ModelCatalogError";
+    this.catalogPath = catalogPath;
+    this.errors = errors;
+  }
+}
 
-  if (cliArgs.help) {
-    showHelp();
-    process.exit(0);
+export async function loadUserCatalog(catalogPath) {
+  let raw;
+  try {
+    raw = await readFile(catalogPath, "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
   }
 
-  if (cliArgs.version) {
-    await showVersion();
-    process.exit(0);
+  const syntaxError = findConfigSyntaxError(raw);
+  if (syntaxError) {
+    throw new ConfigParseError(catalogPath, syntaxError.reason, syntaxError.line, syntaxError.column);
   }
 
-  const apiBaseURL = process.env.NEXOS_BASE_URL || "https://api.nexos.ai/v1";
-  const apiKey = process.env.NEXOS_API_KEY;
+  const catalog = parseJsonc(raw, [], { allowTrailingComma: true });
+  const errors = validateModelCatalog(catalog);
+  if (errors.length > 0) {
+    throw new ModelCatalogError(catalogPath, errors);
+  }
+  return catalog;
+}
 
-  if (!apiKey) {
-    console.error("Error: NEXOS_API_KEY environment variable is not set\n");
-    console.error("You can get your API key at: https://nexos.ai\n");
-    console.error("Run with the API key inline:");
-    console.error("  NEXOS_API_KEY=\"your-api-key\" npx opencode-nexos-models-config\n");
-    console.error("Or set it permanently:\n");
-    console.error("  Linux/macOS (bash/zsh):");
-    console.error("    echo 'export NEXOS_API_KEY=\"your-api-key\"' >> ~/.bashrc   # bash");
-    console.error("    echo 'export NEXOS_API_KEY=\"your-api-key\"' >> ~/.zshrc    # zsh (macOS default)");
-    console.error("    source ~/.bashrc  # or source ~/.zshrc\n");
-    process.exit(1);
+// Agents whose provider model reference is not in the freshly generated model list
+export function findStaleAgentModels(config, modelNames, providerName) {
+  const stale = [];
+  for (const [agentName, agentConfig] of Object.entries(asObject(config.agent) || {})) {
+    const model = asObject(agentConfig)?.model;
+    if (typeof model !== "string" || !model.startsWith(`${providerName}/`)) continue;
+    const name = model.slice(providerName.length + 1);
+    if (!modelNames.includes(name)) stale.push({ agent: agentName, model, name });
   }
+  return stale;
+}
 
-  if (!apiKey.startsWith("nexos-")) {
-    console.error(
-      'Error: NEXOS_API_KEY is invalid. The key must start with "nexos-".\n'
-    );
-    console.error("You can get your API key at: https://nexos.ai");
-    process.exit(1);
+// "Claude Opus 4.5" -> words ["claude", "opus"], version [4, 5]; "Kimi K2.5" -> ["kimi", "k"], [2, 5]
+function parseModelName(name) {
+  const words = [];
+  const version = [];
+  for (const token of name.toLowerCase().split(/[\s-]+/)) {
+    const letters = token.replace(/[\d.]+/g, "");
+    if (letters) words.push(letters);
+    version.push(...(token.match(/\d+/g) || []).map(Number));
   }
+  return { words, version };
+}
 
-  checkDependencies();
+function compareVersions(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const diff = (a[i] ?? 0) - (b[i] ?? 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
 
-  console.error("Fetching models from Nexos AI API...");
+// Picks a model from the same family (same first word), preferring the same line
+// (e.g. Opus, Flash, Codex) and then the nearest newer version, falling back to
+// the nearest older one. Returns null when the family has no models left.
+export function suggestReplacement(staleName, modelNames) {
+  const stale = parseModelName(staleName);
+  let best = null;
 
-  const modelsList = await fetchModelsFromApi(apiKey, apiBaseURL);
+  for (const name of modelNames) {
+    const candidate = parseModelName(name);
+    if (candidate.words[0] !== stale.words[0]) continue;
+
+    const shared = candidate.words.filter((word) => stale.words.includes(word)).length;
+    const extra = candidate.words.length - shared;
+    const versionDiff = compareVersions(candidate.version, stale.version);
+    const rank = {
+      name,
+      similarity: shared - extra,
+      newer: versionDiff >= 0,
+      version: candidate.version,
+    };
 
-  if (modelsList.length === 0) {
-    console.log("No models found.");
-    process.exit(0);
+    if (!best || isBetterReplacement(rank, best)) best = rank;
   }
+  return best?.name ?? null;
+}
 
-  // Load existing model costs
-  const existingCosts = await getExistingModelCosts();
+function isBetterReplacement(a, b) {
+  if (a.similarity !== b.similarity) return a.similarity > b.similarity;
+  if (a.newer !== b.newer) return a.newer;
+  // Nearest version: the lowest of the newer ones, or the highest of the older ones
+  const diff = compareVersions(a.version, b.version);
+  return a.newer ? diff < 0 : diff > 0;
+}
 
-  const { models, skippedModels, unsupportedModels } = processModels(
-    modelsList,
-    existingCosts,
-    supportedModelsOnly
-  );
+export async function remapStaleAgents(config, models, providerName, { autoRemap = false, interactive = false, prompts = null } = {}) {
+  const modelNames = Object.keys(models);
+  const stale = findStaleAgentModels(config, modelNames, providerName);
+  if (stale.length === 0) return [];
+
+  console.error("\n\x1b[33mAgents referencing models that no longer exist:\x1b[0m");
+  for (const entry of stale) {
+    entry.suggestion = suggestReplacement(entry.name, modelNames);
+    const hint = entry.suggestion ? `suggested: ${entry.suggestion}` : "no replacement found";
+    console.error(`  ${entry.agent}: ${entry.model} (${hint})`);
+  }
 
-  if (skippedModels.length > 0) {
-    console.error(
+  const remapped = [];
+  if (autoRemap) {
+    for (const entry of stale) {
+      if (entry.suggestion) remapped.push({ ...entry, replacement: entry.suggestion });
+    }
+  } else if (interactive) {
+    const { search } = prompts || await import("@inquirer/prompts");
+    for (const entry of stale) {
+      const keep = { name: `Keep ${entry.model} (opencode will fail to start)`, value: null };
+      const choices = [keep, ...modelNames.map((name) => ({ name, value: name }))];
+      const replacement = await search({
+        message: `Replacement model for \x1b[1m${entry.agent}\x1b[0m (was ${entry.name}):`,
+        source: (input) => {
+          const term = (input || "").toLowerCase();
+          return choices.filter((c) => c.name.toLowerCase().includes(term));
+        },
+        default: entry.suggestion ?? undefined,
+      });
+      if (replacement) remapped.push({ ...entry, replacement });
+    }
+  } else {
+    console.error("Run with --auto-remap to apply the suggestions, or --select-agents to pick models.");
+  }
+
+  for (const { agent, replacement } of remapped) {
+    const agentConfig = config.agent[agent];
+    agentConfig.model = `${providerName}/${replacement}`;
+    // A variant of the old model may not exist on the new one
+    if (agentConfig.variant && !models[replacement]?.variants?.[agentConfig.variant]) {
+      delete agentConfig.variant;
+    }
+    console.error(`  Remapped ${agent}: ${replacement}`);
+  }
+  return remapped;
+}
+
+export async function loadAgentsFile(agentsPath) {
+  const raw = await readFile(agentsPath, "utf-8");
+  const syntaxError = findConfigSyntaxError(raw);
+  if (syntaxError) {
+    throw new ConfigParseError(agentsPath, syntaxError.reason, syntaxError.line, syntaxError.column);
+  }
+  return parseJsonc(raw, [], { allowTrailingComma: true });
+}
+
+export function extractModelCosts(config) {
+  const existingProvider = asObject(config?.provider?.["nexos-ai"]);
+  const existingModels = asObject(existingProvider?.models);
+
+  if (!existingModels) return {};
+
+  const costs = {};
+  for (const [modelName, modelConfig] of Object.entries(existingModels)) {
+    if (modelConfig?.cost) {
+      costs[modelName] = modelConfig.cost;
+    }
+  }
+  return costs;
+}
+
+// Fields processModels() writes; everything else in a model entry belongs to the user
+export const GENERATED_MODEL_FIELDS = ["name", "modalities", "limit", "temperature", "options", "variants", "cost"];
+
+export class ModelOverridesError extends Error {
+  constructor(overridesPath, errors) {
+    super(`Invalid model overrides ${overridesPath}:\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+    this.name = "ModelOverridesError";
+    this.overridesPath = overridesPath;
+    this.errors = errors;
+  }
+}
+
+// Maps model name patterns to generated fields the user wants to keep as they are in the config
+export async function loadModelOverrides(overridesPath) {
+  let raw;
+  try {
+    raw = await readFile(overridesPath, "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+
+  const syntaxError = findConfigSyntaxError(raw);
+  if (syntaxError) {
+    throw new ConfigParseError(overridesPath, syntaxError.reason, syntaxError.line, syntaxError.column);
+  }
+
+  const overrides = parseJsonc(raw, [], { allowTrailingComma: true });
+  if (!isPlainObject(overrides)) {
+    throw new ModelOverridesError(overridesPath, ["must be an object mapping model names or patterns to field lists"]);
+  }
+  const errors = [];
+  const parsed = [];
+  for (const [key, fields] of Object.entries(overrides)) {
+    if (!Array.isArray(fields)) {
+      errors.push(`"${key}": must be an array of field names`);
+      continue;
+    }
+    for (const field of fields) {
+      if (!GENERATED_MODEL_FIELDS.includes(field)) {
+        errors.push(`"${key}": unknown field "${field}" (expected one of: ${GENERATED_MODEL_FIELDS.join(", ")})`);
+      }
+    }
+    try {
+      parsed.push({ pattern: parseModelPattern(key), fields });
+    } catch (err) {
+      if (!(err instanceof ModelFilterError)) throw err;
+      errors.push(`"${key}": ${err.errors[0]}`);
+    }
+  }
+  if (errors.length > 0) throw new ModelOverridesError(overridesPath, errors);
+  return parsed;
+}
+
+// Copies user-owned fields from the existing config into the freshly built models.
+// Returns the fields whose kept value differs from what would have been generated.
+export function preserveUserFields(models, config, overrides = []) {
+  const existingProvider = asObject(config?.provider?.["nexos-ai"]);
+  const existingModels = asObject(existingProvider?.models);
+  const kept = [];
+
+  if (!existingModels) return kept;
+
+  for (const [name, model] of Object.entries(models)) {
+    const existing = asObject(existingModels[name]);
+    if (!existing) continue;
+
+    const marked = overrides
+      .filter(({ pattern }) => matchesPattern(pattern, name))
+      .flatMap(({ fields }) => fields);
+    const fields = [];
+    for (const [field, value] of Object.entries(existing)) {
+      if (field === "cost" || field === "variants") {
+        // Already taken from the config by processModels(), report them when they differ from the defaults
+        const defaults = field === "cost" ? getModelCost(name) : getModelVariants(name);
+        if (diffConfig(defaults, value).length > 0) fields.push(field);
+      } else if (!GENERATED_MODEL_FIELDS.includes(field) || marked.includes(field)) {
+        if (diffConfig(model[field], value).length > 0) fields.push(field);
+        model[field] = clone(value);
+      }
+    }
+    if (fields.length > 0) kept.push({ name, fields });
+  }
+  return kept;
+}
+
+export class PinnedModelsError extends Error {
+  constructor(pinnedPath, errors) {
+    super(`Invalid pinned models ${pinnedPath}:\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+    this.name = "PinnedModelsError";
+    this.pinnedPath = pinnedPath;
+    this.errors = errors;
+  }
+}
+
+// Returns the pins and the file text (edited in place later), or null when nothing is pinned
+export async function loadPinnedModels(pinnedPath) {
+  let raw;
+  try {
+    raw = await readFile(pinnedPath, "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+
+  const syntaxError = findConfigSyntaxError(raw);
+  if (syntaxError) {
+    throw new ConfigParseError(pinnedPath, syntaxError.reason, syntaxError.line, syntaxError.column);
+  }
+
+  const pins = parseJsonc(raw, [], { allowTrailingComma: true });
+  if (!isPlainObject(pins)) {
+    throw new PinnedModelsError(pinnedPath, ["must be an object mapping model names to {} or { \"staleSince\": ... }"]);
+  }
+  const errors = [];
+  for (const [name, pin] of Object.entries(pins)) {
+    if (!isPlainObject(pin)) {
+      errors.push(`"${name}": must be an object`);
+      continue;
+    }
+    if (pin.staleSince !== undefined && Number.isNaN(Date.parse(pin.staleSince))) {
+      errors.push(`"${name}".staleSince: must be a date`);
+    }
+    if (pin.configs !== undefined
+      && (!Array.isArray(pin.configs) || pin.configs.length === 0 || !pin.configs.every((path) => typeof path === "string" && path))) {
+      errors.push(`"${name}".configs: must be a non-empty array of config paths`);
+    }
+  }
+  if (errors.length > 0) throw new PinnedModelsError(pinnedPath, errors);
+  return { pins, text: raw };
+}
+
+// Pinned models missing from the API response, with the time they first went missing
+export function findStalePins(pins, modelsList, now = new Date()) {
+  const apiNames = new Set(modelsList.map(getDisplayName));
+  return Object.entries(pins)
+    .filter(([name]) => !apiNames.has(name))
+    .map(([name, pin]) => ({ name, staleSince: pin.staleSince || now.toISOString() }));
+}
+
+// Config paths in pins may start with "~"; relative paths start at the working directory
+function resolvePinPath(path) {
+  return resolve(path === "~" || path.startsWith("~/") ? join(homedir(), path.slice(2)) : path);
+}
+
+// Pins without `configs` apply to every config that is written
+export function pinAppliesTo(pin, configPath) {
+  if (!pin?.configs) return true;
+  return pin.configs.some((path) => resolvePinPath(path) === resolve(configPath));
+}
+
+// Copies stale pinned models from the existing config, returns the ones that were carried over
+export function carryOverPinnedModels(models, config, stalePins) {
+  const existingProvider = asObject(config?.provider?.["nexos-ai"]);
+  const existingModels = asObject(existingProvider?.models);
+  const carried = [];
+
+  for (const pin of stalePins) {
+    const existing = asObject(existingModels?.[pin.name]);
+    if (!existing || models[pin.name]) continue;
+    models[pin.name] = clone(existing);
+    carried.push(pin);
+  }
+  return carried;
+}
+
+// Records when pinned models went missing (and clears it when they are back), or drops stale pins.
+// Pruning only removes the configs written in this run from a pin's `configs`; the pin itself goes
+// once no config is left, or right away when it applies to every config.
+export function updatePinnedText(text, pins, stalePins, { prune = false, configPaths = [] } = {}) {
+  const indent = detectIndent(text);
+  const formattingOptions = { insertSpaces: !indent.includes("\t"), tabSize: indent.includes("\t") ? 1 : indent.length };
+  const edit = (current, path, value) => applyEdits(current, modify(current, path, value, { formattingOptions }));
+  const staleSince = new Map(stalePins.map((pin) => [pin.name, pin.staleSince]));
+
+  let updated = text;
+  for (const [name, pin] of Object.entries(pins)) {
+    if (!staleSince.has(name)) {
+      if (pin.staleSince !== undefined) updated = edit(updated, [name, "staleSince"], undefined);
+      continue;
+    }
+    if (prune) {
+      const remaining = (pin.configs || [])
+        .filter((path) => !configPaths.some((configPath) => resolvePinPath(path) === resolve(configPath)));
+      if (remaining.length === 0) {
+        updated = edit(updated, [name], undefined);
+        continue;
+      }
+      if (remaining.length < pin.configs.length) updated = edit(updated, [name, "configs"], remaining);
+    }
+    // Kept (not pruned, or still pinned for other configs): record when it went missing
+    if (pin.staleSince !== staleSince.get(name)) {
+      updated = edit(updated, [name, "staleSince"], staleSince.get(name));
+    }
+  }
+  return updated;
+}
+
+function printPinnedModels(pins, { prune }) {
+  for (const { name, staleSince } of pins) {
+    if (prune) {
+      console.error(`Pruned pinned model "${name}" (stale since ${staleSince})`);
+    } else {
+      console.error(`Warning: pinned model "${name}" was not returned by the API, keeping it (stale since ${staleSince})`);
+    }
+  }
+}
+
+function printKeptFields(kept) {
+  if (kept.length === 0) return;
+  console.error(`\nKept user fields for ${kept.length} models:`);
+  for (const { name, fields } of kept) {
+    console.error(`  - ${name}: ${fields.join(", ")}`);
+  }
+}
+
+// Variants already in the config win over the built-in ones, like costs, so edits survive refreshes.
+// With recorded defaults in the history, only variants the user changed, added or removed are kept:
+// a variant still equal to its recorded default follows the built-in one, and new built-in variants
+// are added.
+export function extractModelVariants(config, history = []) {
+  const existingProvider = asObject(config?.provider?.["nexos-ai"]);
+  const existingModels = asObject(existingProvider?.models);
+
+  if (!existingModels) return {};
+
+  const recorded = findRecordedDefaults(history);
+  const variants = {};
+  for (const [modelName, modelConfig] of Object.entries(existingModels)) {
+    const configVariants = asObject(modelConfig?.variants);
+    if (!configVariants) continue;
+    const defaults = recorded[modelName]?.variants;
+    variants[modelName] = defaults ? mergeDefaultVariants(configVariants, defaults, getModelVariants(modelName) || {}) : configVariants;
+  }
+  return variants;
+}
+
+function mergeDefaultVariants(configVariants, recordedVariants, builtInVariants) {
+  // History entries written before variant contents were recorded only have their names
+  const recorded = asObject(recordedVariants);
+  const merged = {};
+  for (const [name, variant] of Object.entries(configVariants)) {
+    const unchanged = recorded && Object.hasOwn(recorded, name) && diffConfig(recorded[name], variant).length === 0;
+    if (!unchanged) {
+      merged[name] = variant;
+    } else if (Object.hasOwn(builtInVariants, name)) {
+      merged[name] = builtInVariants[name];
+    }
+  }
+  const recordedNames = recordedVariantNames(recordedVariants);
+  for (const [name, variant] of Object.entries(builtInVariants)) {
+    // A recorded variant missing from the config was removed by the user
+    if (!Object.hasOwn(merged, name) && !recordedNames.includes(name)) merged[name] = variant;
+  }
+  return merged;
+}
+
+export async function getExistingModelCosts(configPath = null) {
+  try {
+    const path = configPath || await findConfigPath(getGlobalConfigDir());
+    const { config } = await loadConfigFile(path);
+    return extractModelCosts(config);
+  } catch {
+    return {};
+  }
+}
+
+export const DEFAULT_API_TIMEOUT = 30;
+const DEFAULT_API_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60000;
+
+export class NexosApiError extends Error {
+  constructor(message, { code, status = null, body = "", hint = "" } = {}) {
+    super(message);
+    this.name = "NexosApiError";
+    this.code = code;
+    this.status = status;
+    this.body = body;
+    this.hint = hint;
+  }
+}
+
+export function parseApiTimeout(value) {
+  if (value === undefined) return DEFAULT_API_TIMEOUT;
+  const seconds = Number(value);
+  if (typeof value !== "string" || !Number.isFinite(seconds) || seconds <= 0) return null;
+  return seconds;
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - now;
+  if (!Number.isFinite(delay)) return null;
+  return Math.min(Math.max(delay, 0), MAX_RETRY_DELAY_MS);
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+function apiErrorFromResponse(res, body, apiBaseURL, attempts) {
+  const status = `${res.status} ${res.statusText || ""}`.trim();
+  const after = attempts > 1 ? ` after ${attempts} attempts` : "";
+  const details = { status: res.status, body };
+
+  switch (res.status) {
+    case 401:
+      return new NexosApiError(`${status}: the API key was rejected`, {
+        ...details,
+        code: "UNAUTHORIZED",
+        hint: "Check that NEXOS_API_KEY is correct and has not been revoked or expired.",
+      });
+    case 403:
+      return new NexosApiError(`${status}: the API key is not allowed to list models`, {
+        ...details,
+        code: "FORBIDDEN",
+        hint: "Check that your Nexos AI account or team has access to the models API.",
+      });
+    case 404:
+      return new NexosApiError(`${status}: no models endpoint at ${apiBaseURL}/models`, {
+        ...details,
+        code: "NOT_FOUND",
+        hint: "Check NEXOS_BASE_URL (default: https://api.nexos.ai/v1).",
+      });
+    case 429:
+      return new NexosApiError(`${status}: rate limited by the Nexos AI API${after}`, {
+        ...details,
+        code: "RATE_LIMITED",
+        hint: "Wait a moment and try again.",
+      });
+    default:
+      return new NexosApiError(`${status}${after}`, {
+        ...details,
+        code: res.status >= 500 ? "SERVER_ERROR" : "HTTP_ERROR",
+        hint: res.status >= 500 ? "The Nexos AI API is having problems, try again later." : "",
+      });
+  }
+}
+
+function apiErrorFromException(err, apiBaseURL, timeout) {
+  if (err.name === "TimeoutError" || err.name === "AbortError") {
+    return new NexosApiError(`request to ${apiBaseURL}/models timed out after ${timeout}s`, {
+      code: "TIMEOUT",
+      hint: "Check your network connection, or allow more time with --timeout <seconds>.",
+    });
+  }
+  // fetch() wraps DNS, TLS and connection failures in a TypeError with the real error as cause
+  const reason = err.cause?.code || err.cause?.message || err.message;
+  const untrusted = /CERT|SELF_SIGNED/.test(reason);
+  return new NexosApiError(`cannot reach ${apiBaseURL}: ${reason}`, {
+    code: "NETWORK",
+    hint: untrusted
+      ? "The server certificate is not trusted. If your network inspects TLS traffic, pass your company CA with --ca-file <path> or NODE_EXTRA_CA_CERTS."
+      : "Check your network connection, proxy settings (HTTPS_PROXY, NO_PROXY) and NEXOS_BASE_URL.",
+  });
+}
+
+// A 200 response that is not a model list usually comes from a captive portal or a proxy error page
+async function readModelsPage(res, apiBaseURL) {
+  let page;
+  let reason = "the response has no data array";
+  try {
+    page = await res.json();
+  } catch (err) {
+    reason = `the response is not JSON (${err.message})`;
+  }
+  if (page === null || typeof page !== "object" || !Array.isArray(page.data)) {
+    throw new NexosApiError(`${apiBaseURL}/models did not return a model list: ${reason}`, {
+      code: "INVALID_RESPONSE",
+      status: res.status,
+      hint: "Something other than the Nexos AI API answered. Check NEXOS_BASE_URL, your proxy settings (HTTPS_PROXY, NO_PROXY) and whether the network needs a login page first.",
+    });
+  }
+  return page;
+}
+
+// Errors that mean the API could not be reached, as opposed to rejecting the request
+const UNREACHABLE_API_ERRORS = ["NETWORK", "TIMEOUT", "SERVER_ERROR", "INVALID_RESPONSE"];
+
+export function getModelsCachePath() {
+  return join(homedir(), ".cache", "opencode-nexos", "models.json");
+}
+
+export async function saveModelsCache(cachePath, apiBaseURL, modelsList, fetchedAt = new Date()) {
+  const cache = { fetchedAt: fetchedAt.toISOString(), baseURL: apiBaseURL, models: modelsList };
+  await mkdir(dirname(cachePath), { recursive: true });
+  await writeFile(cachePath, JSON.stringify(cache, null, 2) + "\n", "utf-8");
+}
+
+// Returns null when there is no usable cache for this API base URL
+export async function loadModelsCache(cachePath, apiBaseURL) {
+  let cache;
+  try {
+    cache = JSON.parse(await readFile(cachePath, "utf-8"));
+  } catch {
+    return null;
+  }
+  if (!isPlainObject(cache) || !Array.isArray(cache.models) || Number.isNaN(Date.parse(cache.fetchedAt))) {
+    return null;
+  }
+  if (cache.baseURL !== apiBaseURL) return null;
+  return cache;
+}
+
+export function formatAge(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return "less than a minute";
+  const units = [["day", 1440], ["hour", 60], ["minute", 1]];
+  const [unit, size] = units.find(([, minutesPerUnit]) => minutes >= minutesPerUnit);
+  const count = Math.floor(minutes / size);
+  return `${count} ${unit}${count === 1 ? "" : "s"}`;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function firstEnv(env, names) {
+  for (const name of names) {
+    if (env[name]) return { value: env[name], source: name };
+  }
+  return null;
+}
+
+// NO_PROXY entries are host suffixes (with or without a leading dot), optionally
+// with a port; "*" disables the proxy for every host
+export function matchesNoProxy(url, noProxy) {
+  if (!noProxy) return false;
+  const { hostname, port, protocol } = new URL(url);
+  const effectivePort = port || (protocol === "http:" ? "80" : "443");
+
+  return noProxy.split(/[\s,]+/).filter(Boolean).some((entry) => {
+    if (entry === "*") return true;
+    const [, host, entryPort] = entry.toLowerCase().match(/^\.?(.+?)(?::(\d+))?$/);
+    if (entryPort && entryPort !== effectivePort) return false;
+    return hostname === host || hostname.endsWith(`.${host}`);
+  });
+}
+
+export function resolveNetworkSettings(apiBaseURL, { env = process.env, caFile } = {}) {
+  const proxyNames = new URL(apiBaseURL).protocol === "http:"
+    ? ["http_proxy", "HTTP_PROXY"]
+    : ["https_proxy", "HTTPS_PROXY", "http_proxy", "HTTP_PROXY"];
+  const proxy = firstEnv(env, proxyNames);
+  const noProxy = firstEnv(env, ["no_proxy", "NO_PROXY"]);
+
+  const caFiles = [];
+  if (caFile) caFiles.push({ path: caFile, source: "--ca-file" });
+  if (env.NODE_EXTRA_CA_CERTS) caFiles.push({ path: env.NODE_EXTRA_CA_CERTS, source: "NODE_EXTRA_CA_CERTS" });
+
+  return {
+    proxy: proxy ? { url: proxy.value, source: proxy.source } : null,
+    noProxy: noProxy?.value || null,
+    bypassed: Boolean(proxy) && matchesNoProxy(apiBaseURL, noProxy?.value),
+    caFiles,
+  };
+}
+
+function redactProxyUrl(proxyUrl) {
+  try {
+    const url = new URL(proxyUrl);
+    if (url.password) url.password = "****";
+    return url.href;
+  } catch {
+    return proxyUrl;
+  }
+}
+
+export function formatNetworkSettings(settings, apiBaseURL) {
+  const { host } = new URL(apiBaseURL);
+  let proxy = "none";
+  if (settings.proxy) {
+    proxy = `${redactProxyUrl(settings.proxy.url)} (from ${settings.proxy.source})`;
+    if (settings.bypassed) proxy += `, bypassed for ${host} by NO_PROXY`;
+  }
+  const caFiles = settings.caFiles.length > 0
+    ? settings.caFiles.map(({ path, source }) => `${path} (${source})`).join(", ")
+    : "system defaults";
+
+  return [
+    "Network settings:",
+    `  API: ${apiBaseURL}`,
+    `  Proxy: ${proxy}`,
+    `  NO_PROXY: ${settings.noProxy || "-"}`,
+    `  CA certificates: ${caFiles}`,
+  ].join("\n");
+}
+
+// Node's built-in fetch ignores proxy variables, so requests go through an undici
+// dispatcher whenever a proxy or an extra CA bundle is configured
+export async function createDispatcher(settings) {
+  const useProxy = settings.proxy && !settings.bypassed;
+  const hasCaFile = settings.caFiles.some(({ source }) => source === "--ca-file");
+  if (!useProxy && !hasCaFile) return null;
+
+  let tlsOptions = {};
+  if (hasCaFile) {
+    // Passing `ca` replaces Node's defaults, so keep the bundled roots and NODE_EXTRA_CA_CERTS
+    const ca = [...rootCertificates];
+    for (const { path } of settings.caFiles) {
+      try {
+        ca.push(await readFile(path, "utf-8"));
+      } catch (err) {
+        throw new Error(`cannot read CA file ${path}: ${err.code === "ENOENT" ? "file not found" : err.message}`);
+      }
+    }
+    tlsOptions = { ca };
+  }
+
+  const { Agent, ProxyAgent } = await import("undici");
+  if (!useProxy) return new Agent({ connect: tlsOptions });
+  return new ProxyAgent({ uri: settings.proxy.url, requestTls: tlsOptions, proxyTls: tlsOptions });
+}
+
+async function fetchModelsPage(url, apiKey, apiBaseURL, { timeout, retries, wait, dispatcher }) {
+  let res;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      res = await fetch(url, {
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          "Content-Type": "application/json",
+        },
+        signal: AbortSignal.timeout(timeout * 1000),
+        ...(dispatcher ? { dispatcher } : {}),
+      });
+    } catch (err) {
+      throw apiErrorFromException(err, apiBaseURL, timeout);
+    }
+
+    if (res.ok) return readModelsPage(res, apiBaseURL);
+
+    if (!isRetryableStatus(res.status) || attempt > retries) {
+      const body = await res.text().catch(() => "");
+      throw apiErrorFromResponse(res, body, apiBaseURL, attempt);
+    }
+
+    const delay = parseRetryAfter(res.headers?.get("retry-after"))
+      ?? RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+    console.error(
+      `Nexos AI API returned ${res.status}, retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt + 1} of ${retries + 1})...`
+    );
+    await wait(delay);
+  }
+}
+
+// Supports both pagination styles of OpenAI-compatible gateways: a `next` link
+// (top level or under `links`), or `has_more` with an `after` cursor
+export function getNextPageUrl(page, currentUrl) {
+  const next = typeof page.next === "string" ? page.next : page.links?.next;
+  if (typeof next === "string" && next) return new URL(next, currentUrl).href;
+
+  if (page.has_more !== true) return null;
+  const data = Array.isArray(page.data) ? page.data : [];
+  const cursor = page.last_id ?? page.next_cursor ?? data[data.length - 1]?.id;
+  if (!cursor) return null;
+
+  const url = new URL(currentUrl);
+  url.searchParams.set("after", cursor);
+  return url.href;
+}
+
+const MAX_MODEL_PAGES = 100;
+
+export async function fetchModelsFromApi(apiKey, apiBaseURL, {
+  timeout = DEFAULT_API_TIMEOUT,
+  retries = DEFAULT_API_RETRIES,
+  wait = sleep,
+  dispatcher = null,
+} = {}) {
+  const modelsById = new Map();
+  const visited = new Set();
+  let url = `${apiBaseURL}/models`;
+
+  while (url && !visited.has(url)) {
+    if (visited.size === MAX_MODEL_PAGES) {
+      console.error(`Warning: stopped after ${MAX_MODEL_PAGES} pages of models, the list may be incomplete`);
+      break;
+    }
+    visited.add(url);
+
+    const page = await fetchModelsPage(url, apiKey, apiBaseURL, { timeout, retries, wait, dispatcher });
+    for (const model of page.data) {
+      const key = model.id ?? getDisplayName(model);
+      if (!modelsById.has(key)) modelsById.set(key, model);
+    }
+    url = getNextPageUrl(page, url);
+
+    // Never send the API key to another host
+    if (url && new URL(url).origin !== new URL(apiBaseURL).origin) {
+      throw new NexosApiError(`next page link points to another host: ${url}`, {
+        code: "PAGINATION",
+        hint: "Check NEXOS_BASE_URL, or report the issue to your API gateway administrator.",
+      });
+    }
+  }
+
+  const pages = visited.size > 1 ? ` in ${visited.size} pages` : "";
+  console.error(`Fetched ${modelsById.size} models${pages}`);
+  return sortModels([...modelsById.values()]);
+}
+
+function sortModels(modelsList) {
+  return modelsList.sort((a, b) =>
+    getDisplayName(a).toLowerCase().localeCompare(getDisplayName(b).toLowerCase())
+  );
+}
+
+export class ModelsFileError extends Error {
+  constructor(filePath, reason) {
+    super(`${filePath}: ${reason}`);
+    this.name = "ModelsFileError";
+    this.filePath = filePath;
+    this.reason = reason;
+  }
+}
+
+// Accepts a saved /models payload ({ "data": [...] }), a JSON array of model objects
+// or names, or a text file with one model name per line
+export function parseModelsFile(text, filePath) {
+  const trimmed = text.trim();
+  let entries;
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    const errors = [];
+    const parsed = parseJsonc(text, errors, { allowTrailingComma: true });
+    if (errors.length > 0) {
+      const { line, column } = offsetToPosition(text, errors[0].offset);
+      throw new ModelsFileError(filePath, `invalid JSON at line ${line}, column ${column}`);
+    }
+    entries = Array.isArray(parsed) ? parsed : parsed?.data;
+    if (!Array.isArray(entries)) {
+      throw new ModelsFileError(filePath, 'expected a /models response with a "data" array, or an array of models');
+    }
+  } else {
+    entries = trimmed.split("\n").map((line) => line.trim()).filter((line) => line && !line.startsWith("#"));
+  }
+
+  const models = [];
+  for (const [index, entry] of entries.entries()) {
+    if (typeof entry === "string" && entry.trim()) {
+      models.push({ id: entry.trim(), name: entry.trim() });
+    } else if (isPlainObject(entry) && (typeof entry.name === "string" || typeof entry.id === "string")) {
+      models.push(entry);
+    } else {
+      throw new ModelsFileError(filePath, `entry ${index + 1} must be a model name or an object with "id" or "name"`);
+    }
+  }
+  return sortModels(models);
+}
+
+export async function loadModelsFile(filePath) {
+  let text;
+  try {
+    text = await readFile(filePath, "utf-8");
+  } catch (err) {
+    throw new ModelsFileError(filePath, err.code === "ENOENT" ? "file not found" : err.message);
+  }
+  return parseModelsFile(text, filePath);
+}
+
+export class ModelFilterError extends Error {
+  constructor(errors) {
+    super(`Invalid model filter:\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+    this.name = "ModelFilterError";
+    this.errors = errors;
+  }
+}
+
+const FILTER_KEYS = ["include", "exclude"];
+
+// "/regex/flags" becomes a RegExp, anything else is a glob
+export function parseModelPattern(text) {
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(text);
+  if (!regex) return text;
+  try {
+    return new RegExp(regex[1], regex[2]);
+  } catch (err) {
+    throw new ModelFilterError([`invalid regular expression ${text}: ${err.message}`]);
+  }
+}
+
+// Flags replace the defaults from the filters file list by list
+export function resolveModelFilters(defaults, { include, exclude } = {}) {
+  const errors = [];
+  const resolved = {};
+  for (const [key, patterns] of Object.entries({ include, exclude })) {
+    resolved[key] = [];
+    for (const pattern of patterns ?? defaults?.[key] ?? []) {
+      if (typeof pattern !== "string" || pattern === "") {
+        errors.push(`${key}: patterns must be non-empty strings`);
+        continue;
+      }
+      try {
+        resolved[key].push(parseModelPattern(pattern));
+      } catch (err) {
+        if (!(err instanceof ModelFilterError)) throw err;
+        errors.push(`${key}: ${err.errors[0]}`);
+      }
+    }
+  }
+  if (errors.length > 0) throw new ModelFilterError(errors);
+  return resolved;
+}
+
+export async function loadModelFilters(filtersPath) {
+  let raw;
+  try {
+    raw = await readFile(filtersPath, "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+
+  const syntaxError = findConfigSyntaxError(raw);
+  if (syntaxError) {
+    throw new ConfigParseError(filtersPath, syntaxError.reason, syntaxError.line, syntaxError.column);
+  }
+
+  const filters = parseJsonc(raw, [], { allowTrailingComma: true });
+  if (!isPlainObject(filters)) {
+    throw new ModelFilterError([`${filtersPath} must be an object with "include" and/or "exclude" lists`]);
+  }
+  const errors = [];
+  for (const [key, value] of Object.entries(filters)) {
+    if (!FILTER_KEYS.includes(key)) {
+      errors.push(`${key}: unknown field (expected one of: ${FILTER_KEYS.join(", ")})`);
+    } else if (!Array.isArray(value)) {
+      errors.push(`${key}: must be an array of patterns`);
+    }
+  }
+  if (errors.length > 0) throw new ModelFilterError(errors);
+  return filters;
+}
+
+// Describes the rule that filters a model out, or returns null when the model is kept
+export function findFilterRule(displayName, { include = [], exclude = [] } = {}) {
+  if (include.length > 0 && !include.some((pattern) => matchesPattern(pattern, displayName))) {
+    return `include: none of ${include.map(formatPattern).join(", ")}`;
+  }
+  const excluded = exclude.find((pattern) => matchesPattern(pattern, displayName));
+  return excluded === undefined ? null : `exclude: ${formatPattern(excluded)}`;
+}
+
+export function processModels(modelsList, existingCosts, supportedModelsOnly, existingVariants = {}, filters = {}) {
+  const models = {};
+  const skippedModels = [];
+  const unsupportedModels = [];
+  const filteredModels = [];
+
+  for (const model of modelsList) {
+    if ((model.name || "").includes("(No PII)")) continue;
+
+    const displayName = getDisplayName(model);
+
+    if (displayName.toLowerCase().includes("embedding")) continue;
+
+    if (isSkippedModel(displayName)) {
+      skippedModels.push(displayName);
+      continue;
+    }
+
+    const limit = getModelLimit(displayName, model);
+    const variants = getModelVariants(displayName, existingVariants);
+    const options = getModelOptions(displayName);
+    const cost = getModelCost(displayName, existingCosts);
+    const modalities = getModelModalities(displayName);
+
+    if (supportedModelsOnly) {
+      const isSupported = isModelSupported(displayName);
+      if (!isSupported) {
+        unsupportedModels.push(displayName);
+        continue;
+      }
+    }
+
+    const filterRule = findFilterRule(displayName, filters);
+    if (filterRule) {
+      filteredModels.push({ name: displayName, rule: filterRule });
+      continue;
+    }
+
+    models[displayName] = {
+      name: displayName,
+      modalities,
+      limit,
+      temperature: true,
+      ...(options ? { options } : {}),
+      ...(variants ? { variants } : {}),
+      ...(cost ? { cost } : {}),
+    };
+  }
+
+  return { models, skippedModels, unsupportedModels, filteredModels };
+}
+
+const CONFIG_FILE_NAMES = ["opencode.jsonc", "opencode.json"];
+
+async function pathExists(path) {
+  try {
+    await access(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function findExistingConfig(configDir) {
+  for (const name of CONFIG_FILE_NAMES) {
+    const candidate = join(configDir, name);
+    if (await pathExists(candidate)) return candidate;
+  }
+  return null;
+}
+
+export function getGlobalConfigDir() {
+  return join(homedir(), ".config", "opencode");
+}
+
+export async function findConfigPath(configDir) {
+  return (await findExistingConfig(configDir)) || join(configDir, "opencode.json");
+}
+
+// Walks up from startDir like opencode does: the nearest opencode.json(c) wins,
+// and the search stops at the repository root
+export async function findProjectConfigPath(startDir = process.cwd()) {
+  let dir = startDir;
+  while (true) {
+    const existing = await findExistingConfig(dir);
+    if (existing) return existing;
+    if (await pathExists(join(dir, ".git"))) return join(dir, "opencode.json");
+
+    const parent = dirname(dir);
+    if (!parent || parent === dir) return join(startDir, "opencode.json");
+    dir = parent;
+  }
+}
+
+const CONFIG_SCOPES = ["global", "project"];
+
+export function parseScopeFlag(value) {
+  if (value === undefined) return [];
+  const values = Array.isArray(value) ? value : [value];
+  const scopes = [];
+  for (const entry of values) {
+    if (typeof entry !== "string") return null;
+    for (const scope of entry.split(",").map((s) => s.trim().toLowerCase())) {
+      if (!CONFIG_SCOPES.includes(scope)) return null;
+      if (!scopes.includes(scope)) scopes.push(scope);
+    }
+  }
+  return scopes;
+}
+
+export async function resolveConfigTargets(scopes, output) {
+  const targets = [];
+  for (const scope of scopes) {
+    targets.push(scope === "global"
+      ? await findConfigPath(getGlobalConfigDir())
+      : await findProjectConfigPath());
+  }
+  if (output) targets.push(output);
+  if (targets.length === 0) targets.push(await findConfigPath(getGlobalConfigDir()));
+  return [...new Set(targets)];
+}
+
+export class ConfigParseError extends Error {
+  constructor(configPath, reason, line, column) {
+    super(`${configPath}:${line}:${column}: ${reason}`);
+    this.name = "ConfigParseError";
+    this.configPath = configPath;
+    this.reason = reason;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+function offsetToPosition(text, offset) {
+  const before = text.slice(0, offset).split("\n");
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+// Returns the first syntax problem in the text, or null when it is a valid config object
+export function findConfigSyntaxError(raw) {
+  const errors = [];
+  const config = parseJsonc(raw, errors, { allowTrailingComma: true });
+  if (errors.length > 0) {
+    const { error, offset } = errors[0];
+    const reason = printParseErrorCode(error).replace(/([a-z])([A-Z])/g, "$1 $2").toLowerCase();
+    return { reason, ...offsetToPosition(raw, offset) };
+  }
+  if (!asObject(config) || Array.isArray(config)) {
+    return { reason: "expected a JSON object at the top level", line: 1, column: 1 };
+  }
+  return null;
+}
+
+export function parseConfigText(raw) {
+  if (findConfigSyntaxError(raw)) return null;
+  return parseJsonc(raw, [], { allowTrailingComma: true });
+}
+
+export async function loadConfigFile(configPath) {
+  let raw;
+  try {
+    raw = await readFile(configPath, "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") return { raw: null, config: {} };
+    throw err;
+  }
+
+  if (raw.trim() === "") return { raw: null, config: {} };
+
+  const syntaxError = findConfigSyntaxError(raw);
+  if (syntaxError) {
+    throw new ConfigParseError(configPath, syntaxError.reason, syntaxError.line, syntaxError.column);
+  }
+  return { raw, config: parseJsonc(raw, [], { allowTrailingComma: true }) };
+}
+
+export async function loadExistingConfig(configPath) {
+  const { config } = await loadConfigFile(configPath);
+  return config;
+}
+
+export function buildProviderConfig(existingConfig, models, apiBaseURL) {
+  const existingProvider = asObject(existingConfig.provider?.["nexos-ai"]);
+  const existingEnv = uniqueStrings(existingProvider?.env);
+
+  return {
+    npm: existingProvider?.npm || "@crazy-goat/nexos-provider",
+    name: existingProvider?.name || "Nexos AI",
+    env: uniqueStrings(["NEXOS_API_KEY", ...existingEnv]),
+    options: {
+      ...asObject(existingProvider?.options),
+      baseURL: existingProvider?.options?.baseURL || `${apiBaseURL}/`,
+      timeout: existingProvider?.options?.timeout ?? 300000,
+    },
+    models,
+  };
+}
+
+export function buildConfig(existingConfig, providerConfig) {
+  return {
+    $schema: "https://opencode.ai/config.json",
+    ...existingConfig,
+    provider: {
+      ...existingConfig.provider,
+      "nexos-ai": providerConfig,
+    },
+  };
+}
+
+export function detectIndent(text) {
+  const match = /^([ \t]+)["\/]/m.exec(text);
+  return match ? match[1] : "  ";
+}
+
+function lineIndentAt(text, offset) {
+  const lineStart = text.lastIndexOf("\n", offset - 1) + 1;
+  return /^[ \t]*/.exec(text.slice(lineStart))[0];
+}
+
+function stringifyIndented(value, indentUnit, baseIndent) {
+  return JSON.stringify(value, null, indentUnit).replace(/\n/g, `\n${baseIndent}`);
+}
+
+// Replaces (or inserts) the value at `path` and leaves the rest of the text untouched,
+// so comments and formatting outside of that subtree survive
+export function updateJsoncText(text, path, value, { insertFirst = false } = {}) {
+  const indentUnit = detectIndent(text);
+  const root = parseTree(text, [], { allowTrailingComma: true });
+  const node = findNodeAtLocation(root, path);
+
+  if (node) {
+    const indent = lineIndentAt(text, node.parent.offset);
+    return applyEdits(text, [{
+      offset: node.offset,
+      length: node.length,
+      content: stringifyIndented(value, indentUnit, indent),
+    }]);
+  }
+
+  const parentPath = path.slice(0, -1);
+  const key = path[path.length - 1];
+  const parent = parentPath.length > 0 ? findNodeAtLocation(root, parentPath) : root;
+
+  if (!parent || parent.type !== "object") {
+    return updateJsoncText(text, parentPath, { [key]: value });
+  }
+
+  const properties = parent.children || [];
+  const parentText = text.slice(parent.offset, parent.offset + parent.length);
+  let offset;
+  let content;
+
+  if (properties.length === 0) {
+    const parentIndent = lineIndentAt(text, parent.offset);
+    const indent = parentIndent + indentUnit;
+    offset = parent.offset + 1;
+    content = `\n${indent}${JSON.stringify(key)}: ${stringifyIndented(value, indentUnit, indent)}\n${parentIndent}`;
+  } else if (insertFirst) {
+    const first = properties[0];
+    const separator = parentText.includes("\n") ? `\n${lineIndentAt(text, first.offset)}` : " ";
+    offset = parent.offset + 1;
+    content = `${separator}${JSON.stringify(key)}: ${JSON.stringify(value)},`;
+  } else if (!parentText.includes("\n")) {
+    const last = properties[properties.length - 1];
+    offset = last.offset + last.length;
+    content = `, ${JSON.stringify(key)}: ${JSON.stringify(value)}`;
+  } else {
+    const last = properties[properties.length - 1];
+    const indent = lineIndentAt(text, last.offset);
+    offset = last.offset + last.length;
+    content = `,\n${indent}${JSON.stringify(key)}: ${stringifyIndented(value, indentUnit, indent)}`;
+  }
+
+  return applyEdits(text, [{ offset, length: 0, content }]);
+}
+
+// Subtrees owned by this tool, everything else in an existing file is left as written
+const MANAGED_CONFIG_PATHS = [["$schema"], ["provider", "nexos-ai"], ["agent"]];
+
+function getAtPath(value, path) {
+  return path.reduce((current, key) => asObject(current)?.[key], value);
+}
+
+export function serializeConfig(config, originalText = null) {
+  const original = originalText ? parseConfigText(originalText) : null;
+  if (!original) {
+    return JSON.stringify(config, null, 2) + "\n";
+  }
+
+  let text = originalText;
+  for (const path of MANAGED_CONFIG_PATHS) {
+    const value = getAtPath(config, path);
+    if (value === undefined) continue;
+    if (JSON.stringify(value) === JSON.stringify(getAtPath(original, path))) continue;
+    text = updateJsoncText(text, path, value, { insertFirst: path[0] === "$schema" });
+  }
+  return text;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+export function diffConfig(before, after, path = []) {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const changes = [];
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    for (const key of keys) {
+      if (!(key in after)) {
+        changes.push({ type: "removed", path: [...path, key], before: before[key] });
+      } else if (!(key in before)) {
+        changes.push({ type: "added", path: [...path, key], after: after[key] });
+      } else {
+        changes.push(...diffConfig(before[key], after[key], [...path, key]));
+      }
+    }
+    return changes;
+  }
+
+  if (JSON.stringify(before) !== JSON.stringify(after)) {
+    return [{ type: "changed", path, before, after }];
+  }
+  return [];
+}
+
+function formatChange(change, depth) {
+  const label = change.path.slice(0, depth).join(".");
+  const field = change.path.slice(depth).join(".");
+  const subject = label && field ? `${label}: ${field}` : label || field;
+  if (change.type === "added") {
+    const value = field ? ` = ${JSON.stringify(change.after)}` : "";
+    return `  \x1b[32m+ ${subject}${value}\x1b[0m`;
+  }
+  if (change.type === "removed") {
+    const value = field ? ` (was ${JSON.stringify(change.before)})` : "";
+    return `  \x1b[31m- ${subject}${value}\x1b[0m`;
+  }
+  return `  \x1b[33m~ ${subject}: ${JSON.stringify(change.before)} \u2192 ${JSON.stringify(change.after)}\x1b[0m`;
+}
+
+// Fields of a { context, output } or cost object that differ, e.g. "input 5.5 → 5".
+// Nested prices (context_over_200k) are compared and printed as JSON.
+function describeFieldChanges(before = {}, after = {}) {
+  const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  const format = (value) => (value == null ? "-" : typeof value === "object" ? JSON.stringify(value) : value);
+  return keys
+    .filter((key) => JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key]))
+    .map((key) => `${key} ${format(before?.[key])} → ${format(after?.[key])}`)
+    .join(", ");
+}
+
+// Built-in cost and variants of each model. They are recorded in the history, so later runs
+// compare the defaults with the defaults of the last recorded run instead of with the config,
+// where --custom-costs and --edit-variants values would show up as changes.
+export function getModelDefaults(models) {
+  return Object.fromEntries(Object.keys(models).map((name) => [name, {
+    cost: getModelCost(name),
+    variants: getModelVariants(name) || {},
+  }]));
+}
+
+// Latest recorded defaults per model; entries written before defaults were recorded only have
+// the prices they reported
+function findRecordedDefaults(history) {
+  const recorded = {};
+  for (const entry of history) {
+    for (const { name, after } of entry.prices || []) recorded[name] = { ...recorded[name], cost: after };
+    for (const [name, defaults] of Object.entries(asObject(entry.defaults) || {})) recorded[name] = defaults;
+  }
+  return recorded;
+}
+
+// Variant names of recorded defaults; older entries recorded the names only
+function recordedVariantNames(variants) {
+  return Array.isArray(variants) ? variants : Object.keys(asObject(variants) || {});
+}
+
+// True when some model has no or outdated recorded defaults, so the run must be recorded as a baseline
+export function needsDefaultsBaseline(history, models) {
+  const recorded = findRecordedDefaults(history);
+  return Object.keys(models).some((name) => {
+    const variants = asObject(recorded[name]?.variants);
+    return !recorded[name]?.cost || !variants || diffConfig(variants, getModelVariants(name) || {}).length > 0;
+  });
+}
+
+export function buildChangeReport(previousModels, models, history = []) {
+  const recorded = findRecordedDefaults(history);
+
+  const report = { added: [], removed: [], limits: [], prices: [], variants: [] };
+  for (const name of Object.keys(models)) {
+    const previous = asObject(previousModels[name]);
+    if (!previous) {
+      report.added.push(name);
+      continue;
+    }
+
+    if (previous.limit && diffConfig(previous.limit, models[name].limit).length > 0) {
+      report.limits.push({ name, before: previous.limit, after: models[name].limit });
+    }
+
+    const defaults = recorded[name];
+    const defaultCost = getModelCost(name);
+    if (defaults?.cost && diffConfig(defaults.cost, defaultCost).length > 0) {
+      report.prices.push({ name, before: defaults.cost, after: defaultCost });
+    }
+
+    // A config without variants gets all defaults written; only report the ones added to kept variants
+    const keptVariants = asObject(previous.variants);
+    if (defaults?.variants && keptVariants) {
+      const added = Object.keys(getModelVariants(name) || {})
+        .filter((variant) => !recordedVariantNames(defaults.variants).includes(variant) && !Object.hasOwn(keptVariants, variant));
+      if (added.length > 0) report.variants.push({ name, added });
+    }
+  }
+  report.removed = Object.keys(previousModels).filter((name) => !Object.hasOwn(models, name));
+  return report;
+}
+
+export function isEmptyChangeReport(report) {
+  return Object.values(report).every((changes) => changes.length === 0);
+}
+
+export function formatChangeReport(report) {
+  if (isEmptyChangeReport(report)) return "No changes since the last run.";
+
+  const lines = ["Changes since the last run:"];
+  if (report.added.length > 0) {
+    lines.push(`  \x1b[32mNew models (${report.added.length}):\x1b[0m ${report.added.join(", ")}`);
+  }
+  if (report.removed.length > 0) {
+    lines.push(`  \x1b[31mRemoved models (${report.removed.length}):\x1b[0m ${report.removed.join(", ")}`);
+  }
+  if (report.limits.length > 0) {
+    lines.push("  \x1b[33mLimit changes:\x1b[0m");
+    for (const { name, before, after } of report.limits) {
+      lines.push(`    ${name}: ${describeFieldChanges(before, after)}`);
+    }
+  }
+  if (report.prices.length > 0) {
+    lines.push("  \x1b[33mDefault price changes (the config keeps its prices, update them with --custom-costs):\x1b[0m");
+    for (const { name, before, after } of report.prices) {
+      lines.push(`    ${name}: ${describeFieldChanges(before, after)}`);
+    }
+  }
+  if (report.variants.length > 0) {
+    lines.push("  \x1b[33mNew default variants (added next to the config's variants):\x1b[0m");
+    for (const { name, added } of report.variants) {
+      lines.push(`    ${name}: ${added.join(", ")}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+export function getChangeHistoryPath() {
+  return join(getToolConfigDir(), "history.jsonl");
+}
+
+// One JSON object per line; unreadable lines are skipped so a bad edit does not block refreshes
+export async function loadChangeHistory(historyPath) {
+  let raw;
+  try {
+    raw = await readFile(historyPath, "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  const entries = [];
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (isPlainObject(entry)) entries.push(entry);
+    } catch {
+      // Ignore partial or hand-edited lines
+    }
+  }
+  return entries;
+}
+
+export async function appendChangeHistory(historyPath, configPath, report, defaults, time = new Date()) {
+  const entry = { time: time.toISOString(), config: configPath, ...report, defaults };
+  await mkdir(dirname(historyPath), { recursive: true });
+  await appendFile(historyPath, JSON.stringify(entry) + "\n", "utf-8");
+}
+
+export function formatConfigDiff(before, after) {
+  const modelsOf = (config) => asObject(asObject(config.provider?.["nexos-ai"])?.models) || {};
+  const agentsOf = (config) => asObject(config.agent) || {};
+  const restOf = (config) => {
+    const rest = clone(config);
+    delete rest.agent;
+    if (asObject(rest.provider?.["nexos-ai"])) {
+      delete rest.provider["nexos-ai"].models;
+    }
+    return rest;
+  };
+
+  // Models and agents are keyed by name, everything else by its full path
+  const sections = [
+    ["Models", diffConfig(modelsOf(before), modelsOf(after)), 1],
+    ["Agents", diffConfig(agentsOf(before), agentsOf(after)), 1],
+    ["Other settings", diffConfig(restOf(before), restOf(after)), 0],
+  ];
+
+  const lines = [];
+  let total = 0;
+  for (const [title, changes, depth] of sections) {
+    if (changes.length === 0) continue;
+    total += changes.length;
+    lines.push(`\n\x1b[1m${title}\x1b[0m`);
+    for (const change of changes) {
+      lines.push(formatChange(change, depth));
+    }
+  }
+
+  if (total === 0) return "No changes.";
+  return [`${total} change${total === 1 ? "" : "s"}:`, ...lines].join("\n");
+}
+
+export async function saveConfig(config, configPath, originalText = null) {
+  const text = serializeConfig(config, originalText);
+  await mkdir(dirname(configPath), { recursive: true });
+  await writeFile(configPath, text, "utf-8");
+  return text;
+}
+
+export function getBackupDir(configPath) {
+  return join(dirname(configPath), ".nexos-backups");
+}
+
+export function formatBackupTimestamp(date = new Date()) {
+  // Keep the ISO ordering but avoid characters that are invalid in file names
+  return date.toISOString().replace(/[:.]/g, "-");
+}
+
+export async function listBackups(configPath) {
+  const backupDir = getBackupDir(configPath);
+  const prefix = `${basename(configPath)}.`;
+
+  let entries;
+  try {
+    entries = await readdir(backupDir);
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+
+  return entries
+    .filter((name) => name.startsWith(prefix) && name.endsWith(".bak"))
+    .map((name) => ({
+      timestamp: name.slice(prefix.length, -".bak".length),
+      path: join(backupDir, name),
+    }))
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
+
+export async function createBackup(configPath, retention = DEFAULT_BACKUP_RETENTION) {
+  if (retention <= 0) return null;
+
+  const backupDir = getBackupDir(configPath);
+  const backupPath = join(backupDir, `${basename(configPath)}.${formatBackupTimestamp()}.bak`);
+
+  await mkdir(backupDir, { recursive: true });
+  try {
+    await copyFile(configPath, backupPath);
+  } catch (err) {
+    // Nothing to back up yet
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+
+  const backups = await listBackups(configPath);
+  for (const old of backups.slice(retention)) {
+    await unlink(old.path);
+  }
+
+  return backupPath;
+}
+
+export async function restoreBackup(configPath, timestamp, retention = DEFAULT_BACKUP_RETENTION) {
+  const backups = await listBackups(configPath);
+  const backup = timestamp
+    ? backups.find((b) => b.timestamp === timestamp) ||
+      backups.find((b) => b.timestamp.startsWith(timestamp))
+    : backups[0];
+
+  if (!backup) return null;
+
+  // Read the backup before rotating, pruning may remove the one being restored
+  const raw = await readFile(backup.path, "utf-8");
+  // Back up the current file first so the restore itself can be undone
+  await createBackup(configPath, Math.max(retention, 1));
+  await writeFile(configPath, raw, "utf-8");
+  return backup;
+}
+
+function printModelSummary({ models, skippedModels, unsupportedModels, filteredModels = [] }, supportedModelsOnly) {
+  if (skippedModels.length > 0) {
+    console.error(
       `Skipped ${skippedModels.length} models (tool usage not supported): ${skippedModels.join(", ")}`
     );
   }
 
-  if (unsupportedModels.length > 0) {
-    console.error(
-      `Filtered out ${unsupportedModels.length} unsupported models: ${unsupportedModels.join(", ")}`
-    );
+  if (unsupportedModels.length > 0) {
+    console.error(
+      `Filtered out ${unsupportedModels.length} unsupported models: ${unsupportedModels.join(", ")}`
+    );
+  }
+
+  if (filteredModels.length > 0) {
+    console.error(`Filtered out ${filteredModels.length} models by include/exclude patterns:`);
+    for (const { name, rule } of filteredModels) {
+      console.error(`  - ${name} (${rule})`);
+    }
+  }
+
+  const modelNames = Object.keys(models);
+  const listTitle = supportedModelsOnly 
+    ? `\nSupported models to be added (${modelNames.length}):\n`
+    : `\nModels to be added (${modelNames.length}):\n`;
+  console.error(listTitle);
+  for (const name of modelNames) {
+    const rule = getMatchedRule(name);
+    console.error(rule ? `  - ${name} (rule: ${rule})` : `  - ${name}`);
+  }
+}
+
+// Renders path segments as $.provider["nexos-ai"].models["GPT 5"].limit
+export function formatJsonPath(segments) {
+  return "$" + segments.map((segment) => {
+    if (typeof segment === "number") return `[${segment}]`;
+    return /^[A-Za-z_$][\w$]*$/.test(segment) ? `.${segment}` : `[${JSON.stringify(segment)}]`;
+  }).join("");
+}
+
+function pointerToSegments(pointer) {
+  if (!pointer) return [];
+  return pointer.split("/").slice(1).map((segment) => {
+    const key = segment.replace(/~1/g, "/").replace(/~0/g, "~");
+    return /^\d+$/.test(key) ? Number(key) : key;
+  });
+}
+
+let schemaValidator = null;
+
+function schemaErrors(config) {
+  schemaValidator ||= new Ajv({ allErrors: true, strict: false }).compile(OPENCODE_SCHEMA);
+  if (schemaValidator(config)) return [];
+
+  const errors = [];
+  for (const error of schemaValidator.errors) {
+    // Errors from the individual anyOf branches are summarized by the anyOf error itself
+    if (error.schemaPath.includes("/anyOf/")) continue;
+
+    const path = pointerToSegments(error.instancePath);
+    if (error.keyword === "required") {
+      errors.push({ path: [...path, error.params.missingProperty], message: "is required" });
+    } else if (error.keyword === "additionalProperties") {
+      errors.push({ path: [...path, error.params.additionalProperty], message: "is not a known property" });
+    } else if (error.keyword === "enum") {
+      errors.push({ path, message: `must be one of: ${error.params.allowedValues.join(", ")}` });
+    } else if (error.keyword === "anyOf") {
+      errors.push({ path, message: "has an invalid value" });
+    } else {
+      errors.push({ path, message: error.message });
+    }
+  }
+  return errors;
+}
+
+function checkCosts(cost, path, errors) {
+  for (const [key, value] of Object.entries(cost)) {
+    if (isPlainObject(value)) {
+      checkCosts(value, [...path, key], errors);
+    } else if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+      errors.push({ path: [...path, key], message: "must be a non-negative number" });
+    }
+  }
+}
+
+// Rules opencode's schema does not express but nexos models depend on
+function nexosRuleErrors(config) {
+  const errors = [];
+  const models = asObject(config.provider?.["nexos-ai"]?.models) || {};
+
+  for (const [name, model] of Object.entries(models)) {
+    if (!isPlainObject(model)) continue;
+    const base = ["provider", "nexos-ai", "models", name];
+
+    const { context, output } = asObject(model.limit) || {};
+    if (typeof context === "number" && typeof output === "number" && context < output) {
+      errors.push({ path: [...base, "limit"], message: `context (${context}) must be greater than or equal to output (${output})` });
+    }
+
+    if (isPlainObject(model.cost)) checkCosts(model.cost, [...base, "cost"], errors);
+
+    for (const direction of ["input", "output"]) {
+      const modalities = model.modalities?.[direction];
+      if (!Array.isArray(modalities)) continue;
+      modalities.forEach((modality, index) => {
+        if (!KNOWN_MODALITIES.includes(modality)) {
+          errors.push({
+            path: [...base, "modalities", direction, index],
+            message: `unknown modality ${JSON.stringify(modality)} (known: ${KNOWN_MODALITIES.join(", ")})`,
+          });
+        }
+      });
+    }
+  }
+  return errors;
+}
+
+// Returns [{ path, message }] with path rendered as a JSON path; empty when the config is valid
+export function validateConfig(config) {
+  const errors = nexosRuleErrors(config);
+  const seen = new Set(errors.map(({ path }) => formatJsonPath(path)));
+  // The nexos rules give the more specific message when both flag the same value
+  for (const error of schemaErrors(config)) {
+    const path = formatJsonPath(error.path);
+    if (!seen.has(path)) errors.push(error);
+    seen.add(path);
+  }
+  return errors.map(({ path, message }) => ({ path: formatJsonPath(path), message }));
+}
+
+export function formatValidationErrors(errors) {
+  return errors.map(({ path, message }) => `  ${path}: ${message}`).join("\n");
+}
+
+export async function validateConfigFiles(configPaths) {
+  let valid = true;
+  for (const configPath of configPaths) {
+    let loaded;
+    try {
+      loaded = await loadConfigFile(configPath);
+    } catch (err) {
+      console.log(`\x1b[31m✗\x1b[0m ${err instanceof ConfigParseError ? err.message : `${configPath}: ${err.message}`}`);
+      valid = false;
+      continue;
+    }
+    if (loaded.raw === null) {
+      console.log(`\x1b[31m✗\x1b[0m ${configPath}: file not found or empty`);
+      valid = false;
+      continue;
+    }
+
+    const errors = validateConfig(loaded.config);
+    if (errors.length === 0) {
+      console.log(`\x1b[32m✓\x1b[0m ${configPath}`);
+    } else {
+      console.log(`\x1b[31m✗\x1b[0m ${configPath}: ${errors.length} problem(s)`);
+      console.log(formatValidationErrors(errors));
+      valid = false;
+    }
+  }
+  return valid;
+}
+
+const COMMANDS = ["list", "validate", "usage", "compare-costs"];
+
+export const LIST_FORMATS = ["table", "json", "csv"];
+
+// One row per model returned by the API, including the ones processModels() left out
+export function buildModelListing(modelsList, { models, skippedModels }, existingCosts) {
+  const rows = [];
+  for (const apiModel of modelsList) {
+    const name = getDisplayName(apiModel);
+    const included = models[name];
+    let status;
+    if (included) {
+      status = isModelSupported(name) ? "supported" : "unsupported";
+    } else {
+      status = skippedModels.includes(name) ? "skipped" : "filtered";
+    }
+
+    const limit = included?.limit || clone(getModelConfig(name)?.limit) || {
+      context: apiModel.context_window ?? null,
+      output: apiModel.max_output_tokens ?? null,
+    };
+    const variants = included ? included.variants : getModelVariants(name);
+    rows.push({
+      name,
+      id: apiModel.id,
+      status,
+      limit,
+      cost: included?.cost || getModelCost(name, existingCosts),
+      modalities: included?.modalities || getModelModalities(name),
+      variants: Object.keys(variants || {}),
+      rule: getMatchedRule(name),
+    });
+  }
+  return rows;
+}
+
+function formatCost(value) {
+  return value === undefined ? "" : String(value);
+}
+
+function listingColumns(row) {
+  return [
+    row.name,
+    row.status,
+    row.limit.context ?? "",
+    row.limit.output ?? "",
+    formatCost(row.cost?.input),
+    formatCost(row.cost?.output),
+    formatCost(row.cost?.cache_read),
+    row.modalities.input.join(" "),
+    row.modalities.output.join(" "),
+    row.variants.join(" "),
+    row.rule ?? "",
+  ].map(String);
+}
+
+const LISTING_HEADERS = ["Name", "Status", "Context", "Output", "Input $/M", "Output $/M", "Cache read $/M", "Input modalities", "Output modalities", "Variants", "Rule"];
+const CSV_HEADERS = ["name", "status", "context", "output", "cost_input", "cost_output", "cost_cache_read", "input_modalities", "output_modalities", "variants", "rule"];
+
+function escapeCsv(value) {
+  return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+export function formatModelListing(rows, format) {
+  if (format === "json") return JSON.stringify(rows, null, 2);
+
+  if (format === "csv") {
+    return [CSV_HEADERS, ...rows.map(listingColumns)]
+      .map((columns) => columns.map(escapeCsv).join(","))
+      .join("\n");
+  }
+
+  const lines = [LISTING_HEADERS, ...rows.map(listingColumns)];
+  const widths = LISTING_HEADERS.map((_, i) => Math.max(...lines.map((columns) => columns[i].length)));
+  return lines
+    .map((columns) => columns.map((value, i) => value.padEnd(widths[i])).join("  ").trimEnd())
+    .join("\n");
+}
+
+function listModels(modelsList, existingCosts, supportedModelsOnly, format, modelFilters) {
+  const processed = processModels(modelsList, existingCosts, supportedModelsOnly, {}, modelFilters);
+  const rows = buildModelListing(modelsList, processed, existingCosts);
+  console.log(formatModelListing(rows, format));
+  const counts = {};
+  for (const row of rows) counts[row.status] = (counts[row.status] || 0) + 1;
+  console.error(`\n${rows.length} models: ${Object.entries(counts).map(([status, n]) => `${n} ${status}`).join(", ")}`);
+}
+
+export const USAGE_FORMATS = ["table", "json"];
+
+export function getOpencodeStorageDir(env = process.env) {
+  const dataHome = env.XDG_DATA_HOME || join(homedir(), ".local", "share");
+  return join(dataHome, "opencode", "storage");
+}
+
+// Accepts YYYY-MM-DD, a full ISO timestamp or a relative "<n>d"; a bare end date covers the whole day
+export function parseUsageDate(value, { endOfDay = false, now = new Date() } = {}) {
+  if (value === undefined) return undefined;
+  const relative = /^(\d+)d$/.exec(String(value));
+  if (relative) return new Date(now.getTime() - Number(relative[1]) * 24 * 60 * 60 * 1000);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const date = new Date(`${value}T00:00:00`);
+    if (Number.isNaN(date.getTime())) return null;
+    if (endOfDay) date.setDate(date.getDate() + 1);
+    return date;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// opencode keeps one JSON file per message in storage/message/<session>/<message>.json
+export async function loadSessionMessages(storageDir) {
+  const messageDir = join(storageDir, "message");
+  const sessions = await readdir(messageDir);
+  const messages = [];
+  for (const session of sessions) {
+    let files;
+    try {
+      files = await readdir(join(messageDir, session));
+    } catch {
+      continue;
+    }
+    for (const file of files) {
+      if (!file.endsWith(".json")) continue;
+      try {
+        const message = JSON.parse(await readFile(join(messageDir, session, file), "utf-8"));
+        if (message?.role === "assistant") messages.push(message);
+      } catch {
+        // Messages being written by a running opencode can be incomplete
+      }
+    }
+  }
+  return messages;
+}
+
+function messageTokens(message) {
+  const tokens = message.tokens || {};
+  return {
+    input: tokens.input || 0,
+    output: tokens.output || 0,
+    reasoning: tokens.reasoning || 0,
+    cache_read: tokens.cache?.read || 0,
+    cache_write: tokens.cache?.write || 0,
+  };
+}
+
+// Costs are per 1M tokens; reasoning tokens are billed as output. Prompts over 200k tokens
+// (input plus cache) use the long-context prices when the model has them.
+function tokenCost(tokens, cost) {
+  if (!cost) return null;
+  const prompt = tokens.input + tokens.cache_read + tokens.cache_write;
+  if (cost[LONG_CONTEXT_COST_KEY] && prompt > LONG_CONTEXT_THRESHOLD) {
+    cost = cost[LONG_CONTEXT_COST_KEY];
+  }
+  return (
+    tokens.input * (cost.input || 0) +
+    (tokens.output + tokens.reasoning) * (cost.output || 0) +
+    tokens.cache_read * (cost.cache_read || 0) +
+    tokens.cache_write * (cost.cache_write || 0)
+  ) / 1_000_000;
+}
+
+function emptyUsageRow(name) {
+  return {
+    name,
+    messages: 0,
+    tokens: { input: 0, output: 0, reasoning: 0, cache_read: 0, cache_write: 0 },
+    cost: 0,
+    unpriced: 0,
+  };
+}
+
+function addUsage(row, tokens, cost) {
+  row.messages += 1;
+  for (const key of Object.keys(row.tokens)) row.tokens[key] += tokens[key];
+  if (cost === null) row.unpriced += 1;
+  else row.cost += cost;
+}
+
+export function summarizeUsage(messages, costs, { since, until, provider = "nexos-ai" } = {}) {
+  const byModel = {};
+  const byAgent = {};
+  const total = emptyUsageRow("Total");
+
+  for (const message of messages) {
+    if (message.providerID !== provider) continue;
+    const created = message.time?.created;
+    if (since && !(created >= since.getTime())) continue;
+    if (until && !(created < until.getTime())) continue;
+
+    const tokens = messageTokens(message);
+    const cost = tokenCost(tokens, costs[message.modelID]);
+    const agent = message.agent || message.mode || "unknown";
+    byModel[message.modelID] ||= emptyUsageRow(message.modelID);
+    byAgent[agent] ||= emptyUsageRow(agent);
+    addUsage(byModel[message.modelID], tokens, cost);
+    addUsage(byAgent[agent], tokens, cost);
+    addUsage(total, tokens, cost);
+  }
+
+  const byCost = (a, b) => b.cost - a.cost || a.name.localeCompare(b.name);
+  return {
+    since: since?.toISOString() ?? null,
+    until: until?.toISOString() ?? null,
+    models: Object.values(byModel).sort(byCost),
+    agents: Object.values(byAgent).sort(byCost),
+    total,
+  };
+}
+
+const USAGE_HEADERS = ["Messages", "Input", "Output", "Reasoning", "Cache read", "Cache write", "Cost $"];
+
+function usageColumns(row) {
+  return [
+    row.name,
+    row.messages,
+    row.tokens.input,
+    row.tokens.output,
+    row.tokens.reasoning,
+    row.tokens.cache_read,
+    row.tokens.cache_write,
+    // "*" marks totals that leave out messages of models without a cost in the config
+    `${row.cost.toFixed(2)}${row.unpriced > 0 ? "*" : ""}`,
+  ].map(String);
+}
+
+function formatUsageTable(title, rows, total) {
+  const lines = [[title, ...USAGE_HEADERS], ...rows.map(usageColumns), usageColumns(total)];
+  const widths = lines[0].map((_, i) => Math.max(...lines.map((columns) => columns[i].length)));
+  return lines
+    .map((columns) => columns
+      .map((value, i) => (i === 0 ? value.padEnd(widths[i]) : value.padStart(widths[i])))
+      .join("  "))
+    .join("\n");
+}
+
+export function formatUsage(summary, format) {
+  if (format === "json") return JSON.stringify(summary, null, 2);
+  return [
+    formatUsageTable("Model", summary.models, summary.total),
+    formatUsageTable("Agent", summary.agents, summary.total),
+  ].join("\n\n");
+}
+
+async function showUsage(cliArgs, configPath) {
+  if (!USAGE_FORMATS.includes(cliArgs.format)) {
+    console.error(`Error: --format must be one of: ${USAGE_FORMATS.join(", ")}`);
+    process.exit(1);
+  }
+  const since = parseUsageDate(cliArgs.since);
+  const until = parseUsageDate(cliArgs.until, { endOfDay: true });
+  for (const [flag, value] of [["--since", since], ["--until", until]]) {
+    if (value === null) {
+      console.error(`Error: ${flag} must be a date (YYYY-MM-DD), an ISO timestamp or a number of days like 7d`);
+      process.exit(1);
+    }
   }
 
-  const modelNames = Object.keys(models);
-  const listTitle = supportedModelsOnly 
-    ? `\nSupported models to be added (${modelNames.length}):\n`
-    : `\nModels to be added (${modelNames.length}):\n`;
-  console.error(listTitle);
-  for (const name of modelNames) {
-    console.error(`  - ${name}`);
+  const storageDir = typeof cliArgs["storage-dir"] === "string" ? cliArgs["storage-dir"] : getOpencodeStorageDir();
+  let messages;
+  try {
+    messages = await loadSessionMessages(storageDir);
+  } catch (err) {
+    console.error(`Error: cannot read opencode sessions in ${storageDir}: ${err.code === "ENOENT" ? "directory not found" : err.message}`);
+    console.error("Use --storage-dir to point at opencode's storage directory.");
+    process.exit(1);
+  }
+
+  const costs = await getExistingModelCosts(configPath);
+  const summary = summarizeUsage(messages, costs, { since, until });
+  console.log(formatUsage(summary, cliArgs.format));
+
+  const unpriced = summary.models.filter((row) => row.unpriced > 0).map((row) => row.name);
+  if (unpriced.length > 0) {
+    console.error(`\nNo cost in ${configPath} for: ${unpriced.join(", ")} (left out of the cost totals)`);
+  }
+  console.error(`\n${summary.total.messages} messages from ${storageDir}`);
+}
+
+// Token counts of typical agent sessions, used by compare-costs
+export const WORKLOAD_PROFILES = {
+  "quick fix": { input: 30000, output: 3000, cache_read: 100000, cache_write: 20000 },
+  "code review": { input: 300000, output: 15000, cache_read: 600000, cache_write: 60000 },
+  "feature": { input: 400000, output: 40000, cache_read: 2000000, cache_write: 150000 },
+  "large refactor": { input: 1500000, output: 200000, cache_read: 10000000, cache_write: 800000 },
+};
+
+const WORKLOAD_FIELDS = ["input", "output", "cache_read", "cache_write"];
+
+export class WorkloadProfileError extends Error {
+  constructor(profilesPath, errors) {
+    super(`Invalid workload profiles ${profilesPath}:\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+    this.name = "WorkloadProfileError";
+    this.profilesPath = profilesPath;
+    this.errors = errors;
+  }
+}
+
+// Accepts plain numbers and k/M suffixes: 200000, 200k, 1.5M
+export function parseTokenCount(value) {
+  const match = /^(\d+(?:\.\d+)?)([kKmM]?)$/.exec(String(value).trim());
+  if (!match) return null;
+  const multiplier = { k: 1e3, m: 1e6 }[match[2].toLowerCase()] || 1;
+  return Math.round(Number(match[1]) * multiplier);
+}
+
+export async function loadWorkloadProfiles(profilesPath) {
+  let raw;
+  try {
+    raw = await readFile(profilesPath, "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") return clone(WORKLOAD_PROFILES);
+    throw err;
+  }
+
+  const syntaxError = findConfigSyntaxError(raw);
+  if (syntaxError) {
+    throw new ConfigParseError(profilesPath, syntaxError.reason, syntaxError.line, syntaxError.column);
+  }
+
+  const profiles = parseJsonc(raw, [], { allowTrailingComma: true });
+  if (!isPlainObject(profiles)) {
+    throw new WorkloadProfileError(profilesPath, ["must be an object mapping profile names to token counts"]);
+  }
+  const errors = [];
+  for (const [name, profile] of Object.entries(profiles)) {
+    if (!isPlainObject(profile)) {
+      errors.push(`"${name}": must be an object`);
+      continue;
+    }
+    for (const [field, value] of Object.entries(profile)) {
+      if (!WORKLOAD_FIELDS.includes(field)) {
+        errors.push(`"${name}".${field}: unknown field (expected one of: ${WORKLOAD_FIELDS.join(", ")})`);
+      } else if (!Number.isFinite(value) || value < 0) {
+        errors.push(`"${name}".${field}: must be a non-negative number`);
+      }
+    }
+  }
+  if (errors.length > 0) throw new WorkloadProfileError(profilesPath, errors);
+  return { ...clone(WORKLOAD_PROFILES), ...profiles };
+}
+
+// A named profile refined by --input-tokens and friends; returns { error } when something is off
+export function resolveWorkload(profiles, profileName, flags) {
+  let workload = { input: 0, output: 0, cache_read: 0, cache_write: 0 };
+  if (profileName !== undefined) {
+    if (!Object.hasOwn(profiles, profileName)) {
+      return { error: `unknown workload profile "${profileName}". Available profiles: ${Object.keys(profiles).join(", ")}` };
+    }
+    workload = { ...workload, ...profiles[profileName] };
+  }
+
+  let hasTokens = profileName !== undefined;
+  for (const field of WORKLOAD_FIELDS) {
+    const flag = `--${field.replace("_", "-")}-tokens`;
+    const value = flags[`${field.replace("_", "-")}-tokens`];
+    if (value === undefined) continue;
+    const count = parseTokenCount(value);
+    if (count === null) return { error: `${flag} must be a number of tokens like 200000, 200k or 1.5M, got "${value}"` };
+    workload[field] = count;
+    hasTokens = true;
+  }
+  if (!hasTokens) {
+    return { error: `give a workload profile (${Object.keys(profiles).join(", ")}) or --input-tokens/--output-tokens` };
+  }
+  return { workload };
+}
+
+// Ranks models by projected cost, cheapest first. Workloads are totals over many requests,
+// not a single prompt, so the long-context prices are left out.
+export function compareModelCosts(models, workload) {
+  const tokens = { ...workload, reasoning: 0 };
+  const flatCost = (cost) => {
+    if (!cost) return cost;
+    const { [LONG_CONTEXT_COST_KEY]: _longContext, ...prices } = cost;
+    return prices;
+  };
+  return Object.values(models)
+    .map((model) => ({
+      name: model.name,
+      cost: tokenCost(tokens, flatCost(model.cost)),
+      prices: model.cost,
+      limit: model.limit,
+      modalities: model.modalities,
+    }))
+    .sort((a, b) => a.cost - b.cost || a.name.localeCompare(b.name))
+    .map((row, index) => ({ rank: index + 1, ...row }));
+}
+
+function costComparisonColumns(row) {
+  return [
+    row.rank,
+    row.name,
+    row.cost.toFixed(4),
+    formatCost(row.prices?.input),
+    formatCost(row.prices?.output),
+    formatCost(row.prices?.cache_read),
+    formatCost(row.prices?.cache_write),
+    row.limit.context ?? "",
+    row.limit.output ?? "",
+    row.modalities.input.join(" "),
+  ].map(String);
+}
+
+const COST_COMPARISON_HEADERS = ["#", "Model", "Cost $", "Input $/M", "Output $/M", "Cache read $/M", "Cache write $/M", "Context", "Output", "Input modalities"];
+const COST_COMPARISON_CSV_HEADERS = ["rank", "name", "cost", "cost_input", "cost_output", "cost_cache_read", "cost_cache_write", "context", "output", "input_modalities"];
+
+export function formatCostComparison(rows, format) {
+  if (format === "json") return JSON.stringify(rows, null, 2);
+
+  if (format === "csv") {
+    return [COST_COMPARISON_CSV_HEADERS, ...rows.map(costComparisonColumns)]
+      .map((columns) => columns.map(escapeCsv).join(","))
+      .join("\n");
+  }
+
+  const lines = [COST_COMPARISON_HEADERS, ...rows.map(costComparisonColumns)];
+  const widths = COST_COMPARISON_HEADERS.map((_, i) => Math.max(...lines.map((columns) => columns[i].length)));
+  return lines
+    .map((columns) => columns.map((value, i) => value.padEnd(widths[i])).join("  ").trimEnd())
+    .join("\n");
+}
+
+function formatWorkload(workload) {
+  return WORKLOAD_FIELDS.map((field) => `${field.replace("_", " ")} ${workload[field]}`).join(", ");
+}
+
+async function loadTargetConfig(configPath, { force }) {
+  try {
+    return { ...await loadConfigFile(configPath), broken: false };
+  } catch (err) {
+    if (!(err instanceof ConfigParseError)) {
+      console.error(`Error: cannot read ${configPath}: ${err.message}`);
+      process.exit(1);
+    }
+    if (!force) {
+      console.error("\nError: existing config is not valid JSON/JSONC");
+      console.error(`  ${err.message}\n`);
+      console.error("Fix the file, or run with --force to replace it (a backup will be kept).");
+      process.exit(1);
+    }
+    console.error(`\nWarning: replacing config that failed to parse (${err.message})`);
+    // The backup is taken right before the write, so a failed API call leaves no extra copy
+    return { raw: null, config: {}, broken: true };
   }
+}
 
-  const configPath = cliArgs.output || join(homedir(), ".config", "opencode", "opencode.json");
-  const existingConfig = await loadExistingConfig(configPath);
+async function updateConfigTarget(target, models, { apiBaseURL, dryRun, backupRetention, cliArgs, supportedModelsOnly, agentAssignments }) {
+  const { path: configPath, raw: existingText, config: existingConfig } = target;
+  const modelNames = Object.keys(models);
+  // Interactive steps mutate nested objects shared with existingConfig
+  const previousConfig = clone(existingConfig);
   
   const providerConfig = buildProviderConfig(existingConfig, models, apiBaseURL);
   const config = buildConfig(existingConfig, providerConfig);
+  let configText = existingText;
+
+  let agentsAssigned = false;
+  if (Object.keys(agentAssignments).length > 0) {
+    try {
+      agentsAssigned = applyAgentAssignments(config, agentAssignments, models, "nexos-ai");
+    } catch (err) {
+      if (!(err instanceof AgentAssignmentError)) throw err;
+      console.error(`\nError: ${err.message}`);
+      console.error("Nothing was written.");
+      process.exit(1);
+    }
+  }
+
+  const remapped = await remapStaleAgents(config, models, "nexos-ai", {
+    // A dry run does not prompt, it previews the suggested replacements instead
+    autoRemap: cliArgs["auto-remap"] || dryRun,
+    // --select-agents lets the user pick new models right after this step anyway
+    interactive: Boolean(process.stdin.isTTY) && !cliArgs["select-agents"] && !dryRun,
+  });
 
-  await saveConfig(config, configPath);
+  if (!dryRun) {
+    // Always keep a copy of a broken file, even with --keep-backups 0
+    const backupPath = await createBackup(configPath, target.broken ? Math.max(backupRetention, 1) : backupRetention);
+    if (backupPath) {
+      console.error(`\nBackup saved to: ${backupPath}`);
+    }
+
+    configText = await saveConfig(config, configPath, configText);
 
-  console.error(`\nGenerated configuration for ${Object.keys(models).length} models`);
-  console.error(`Config written to: ${configPath}`);
+    console.error(`\nGenerated configuration for ${modelNames.length} models`);
+    console.error(`Config written to: ${configPath}`);
+    if (agentsAssigned) {
+      console.error(`Agents assigned: ${Object.keys(agentAssignments).join(", ")}`);
+    }
+    if (remapped.length > 0) {
+      console.error(`Agents remapped: ${remapped.map(({ agent }) => agent).join(", ")}`);
+    }
+  }
 
   if (cliArgs["select-agents"]) {
     const updated = await selectAgentModels(config, modelNames, "nexos-ai");
-    if (updated) {
-      await writeFile(configPath, JSON.stringify(config, null, 2) + "\n", "utf-8");
+    if (updated && !dryRun) {
+      configText = await saveConfig(config, configPath, configText);
       console.error("Agent configuration updated.");
     }
   }
 
   if (cliArgs["custom-costs"]) {
     const updated = await configureCustomCosts(config, modelNames, "nexos-ai", supportedModelsOnly);
-    if (updated) {
-      await writeFile(configPath, JSON.stringify(config, null, 2) + "\n", "utf-8");
+    if (updated && !dryRun) {
+      configText = await saveConfig(config, configPath, configText);
       console.error("Model costs configuration updated.");
     }
   }
+
+  if (cliArgs["edit-variants"]) {
+    const updated = await configureVariants(config, modelNames, "nexos-ai", supportedModelsOnly);
+    if (updated && !dryRun) {
+      configText = await saveConfig(config, configPath, configText);
+      console.error("Model variants configuration updated.");
+    }
+  }
+
+  if (!dryRun) {
+    const errors = validateConfig(config);
+    if (errors.length > 0) {
+      console.error(`\nWarning: ${configPath} does not pass validation (${errors.length} problem(s)):`);
+      console.error(formatValidationErrors(errors));
+      console.error("Fix the values above, then check again with: opencode-nexos-models-config validate");
+    }
+  }
+
+  if (dryRun) {
+    console.error(`\nDry run: comparing against ${configPath}\n`);
+    console.log(formatConfigDiff(previousConfig, config));
+    console.error(`\nDry run: no changes written to ${configPath}`);
+  }
+}
+
+function exitWithApiError(err) {
+  if (!(err instanceof NexosApiError)) throw err;
+  console.error(`Error: ${err.message}`);
+  if (err.body) console.error(err.body);
+  if (err.hint) console.error(err.hint);
+  process.exit(1);
+}
+
+function warnCachedModels(cache) {
+  const age = formatAge(Date.now() - Date.parse(cache.fetchedAt));
+  console.error(`Warning: using cached models fetched ${cache.fetchedAt} (${age} old)`);
+}
+
+// Fetches from the API and refreshes the cache; falls back to the cache when the API is unreachable
+async function loadModelsList({ apiKey, apiBaseURL, timeout, offline, modelsFile, dispatcher, updateCache = true }) {
+  if (modelsFile) {
+    try {
+      const modelsList = await loadModelsFile(modelsFile);
+      console.error(`Loaded ${modelsList.length} models from ${modelsFile}`);
+      return modelsList;
+    } catch (err) {
+      if (!(err instanceof ModelsFileError)) throw err;
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+  }
+
+  const cachePath = getModelsCachePath();
+
+  if (offline) {
+    const cache = await loadModelsCache(cachePath, apiBaseURL);
+    if (!cache) {
+      console.error(`Error: --offline needs a cached model list, but none was found for ${apiBaseURL}`);
+      console.error("Run once while online to create the cache.");
+      process.exit(1);
+    }
+    warnCachedModels(cache);
+    return cache.models;
+  }
+
+  console.error("Fetching models from Nexos AI API...");
+  try {
+    const modelsList = await fetchModelsFromApi(apiKey, apiBaseURL, { timeout, dispatcher });
+    if (updateCache) {
+      try {
+        await saveModelsCache(cachePath, apiBaseURL, modelsList);
+      } catch (err) {
+        console.error(`Warning: could not update the models cache ${cachePath}: ${err.message}`);
+      }
+    }
+    return modelsList;
+  } catch (err) {
+    const cache = err instanceof NexosApiError && UNREACHABLE_API_ERRORS.includes(err.code)
+      ? await loadModelsCache(cachePath, apiBaseURL)
+      : null;
+    if (!cache) exitWithApiError(err);
+    console.error(`Warning: ${err.message}`);
+    warnCachedModels(cache);
+    return cache.models;
+  }
+}
+
+export async function main() {
+  const cliArgs = parseCliArgs(process.argv);
+  
+  const supportedModelsOnly = parseSupportedModelsFlag(cliArgs["supported-models"]);
+
+  if (cliArgs.help) {
+    showHelp();
+    process.exit(0);
+  }
+
+  if (cliArgs.version) {
+    await showVersion();
+    process.exit(0);
+  }
+
+  const scopes = parseScopeFlag(cliArgs.scope);
+
+  if (scopes === null) {
+    console.error(`Error: --scope must be one of: ${CONFIG_SCOPES.join(", ")}`);
+    process.exit(1);
+  }
+
+  const configPaths = await resolveConfigTargets(scopes, cliArgs.output);
+  const backupRetention = parseBackupRetention(cliArgs["keep-backups"]);
+
+  if (backupRetention === null) {
+    console.error(`Error: --keep-backups must be a non-negative integer, got "${cliArgs["keep-backups"]}"`);
+    process.exit(1);
+  }
+
+  // Backups only need the config path: handle them before loading the user
+  // catalog, filters, overrides and pins so a broken file cannot block a restore
+  if (cliArgs["list-backups"]) {
+    for (const configPath of configPaths) {
+      const backups = await listBackups(configPath);
+      if (backups.length === 0) {
+        console.log(`No backups found for ${configPath}`);
+      } else if (configPaths.length > 1) {
+        console.log(`${configPath}:`);
+      }
+      for (const backup of backups) {
+        console.log(`${backup.timestamp}  ${backup.path}`);
+      }
+    }
+    process.exit(0);
+  }
+
+  if (cliArgs.restore !== undefined) {
+    if (configPaths.length > 1) {
+      console.error("Error: --restore works on one config at a time, pass a single --scope or --output");
+      process.exit(1);
+    }
+    const [configPath] = configPaths;
+    const timestamp = typeof cliArgs.restore === "string" ? cliArgs.restore : undefined;
+    const backup = await restoreBackup(configPath, timestamp, backupRetention);
+    if (!backup) {
+      console.error(timestamp
+        ? `Error: no backup matching "${timestamp}" found for ${configPath}`
+        : `Error: no backups found for ${configPath}`);
+      console.error("Run with --list-backups to see available backups.");
+      process.exit(1);
+    }
+    console.error(`Restored ${configPath} from backup ${backup.timestamp}`);
+    process.exit(0);
+  }
+
+  const catalogPath = cliArgs.catalog || join(getToolConfigDir(), "models.json");
+  try {
+    const catalog = await loadUserCatalog(catalogPath);
+    if (catalog) {
+      setUserModels(catalog);
+      console.error(`Loaded ${Object.keys(catalog).length} models from user catalog ${catalogPath}`);
+    } else if (cliArgs.catalog) {
+      console.error(`Error: model catalog not found: ${catalogPath}`);
+      process.exit(1);
+    }
+  } catch (err) {
+    if (err instanceof ModelCatalogError || err instanceof ConfigParseError) {
+      console.error(`Error: ${err.message}`);
+    } else {
+      console.error(`Error: cannot read model catalog ${catalogPath}: ${err.message}`);
+    }
+    process.exit(1);
+  }
+
+  if (cliArgs.command !== undefined && !COMMANDS.includes(cliArgs.command)) {
+    console.error(`Error: unknown command "${cliArgs.command}"`);
+    console.error("Run with --help to see available commands.");
+    process.exit(1);
+  }
+
+  if (["list", "compare-costs"].includes(cliArgs.command) && !LIST_FORMATS.includes(cliArgs.format)) {
+    console.error(`Error: --format must be one of: ${LIST_FORMATS.join(", ")}`);
+    process.exit(1);
+  }
+
+  let modelFilters;
+  try {
+    const fileFilters = await loadModelFilters(join(getToolConfigDir(), "filters.json"));
+    modelFilters = resolveModelFilters(fileFilters, cliArgs);
+  } catch (err) {
+    if (err instanceof ModelFilterError || err instanceof ConfigParseError) {
+      console.error(`Error: ${err.message}`);
+    } else {
+      console.error(`Error: cannot read model filters: ${err.message}`);
+    }
+    process.exit(1);
+  }
+
+  const overridesPath = join(getToolConfigDir(), "overrides.json");
+  let modelOverrides;
+  try {
+    modelOverrides = await loadModelOverrides(overridesPath);
+  } catch (err) {
+    if (err instanceof ModelOverridesError || err instanceof ConfigParseError) {
+      console.error(`Error: ${err.message}`);
+    } else {
+      console.error(`Error: cannot read model overrides ${overridesPath}: ${err.message}`);
+    }
+    process.exit(1);
+  }
+
+  const pinnedPath = join(getToolConfigDir(), "pinned.json");
+  let pinned;
+  try {
+    pinned = await loadPinnedModels(pinnedPath);
+  } catch (err) {
+    if (err instanceof PinnedModelsError || err instanceof ConfigParseError) {
+      console.error(`Error: ${err.message}`);
+    } else {
+      console.error(`Error: cannot read pinned models ${pinnedPath}: ${err.message}`);
+    }
+    process.exit(1);
+  }
+
+  let workload;
+  if (cliArgs.command === "compare-costs") {
+    let profiles;
+    try {
+      profiles = await loadWorkloadProfiles(join(getToolConfigDir(), "profiles.json"));
+    } catch (err) {
+      if (!(err instanceof WorkloadProfileError || err instanceof ConfigParseError)) throw err;
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+    const resolved = resolveWorkload(profiles, cliArgs.commandArgs[0], cliArgs);
+    if (resolved.error) {
+      console.error(`Error: ${resolved.error}`);
+      process.exit(1);
+    }
+    workload = resolved.workload;
+  }
+
+  const apiTimeout = parseApiTimeout(cliArgs.timeout);
+
+  if (apiTimeout === null) {
+    console.error(`Error: --timeout must be a positive number of seconds, got "${cliArgs.timeout}"`);
+    process.exit(1);
+  }
+
+  if (cliArgs.command === "validate") {
+    const paths = cliArgs.commandArgs.length > 0 ? cliArgs.commandArgs : configPaths;
+    const valid = await validateConfigFiles(paths);
+    process.exit(valid ? 0 : 1);
+  }
+
+  if (cliArgs.command === "usage") {
+    await showUsage(cliArgs, configPaths[0]);
+    process.exit(0);
+  }
+
+  const apiBaseURL = process.env.NEXOS_BASE_URL || "https://api.nexos.ai/v1";
+  const apiKey = process.env.NEXOS_API_KEY;
+
+  if (cliArgs["models-file"] === true) {
+    console.error("Error: --models-file requires a path");
+    process.exit(1);
+  }
+
+  if (cliArgs.offline && cliArgs["models-file"]) {
+    console.error("Error: --offline and --models-file cannot be used together");
+    process.exit(1);
+  }
+
+  // Offline runs and local models files never call the API, so they work without a key
+  if (!cliArgs.offline && !cliArgs["models-file"]) {
+    if (!apiKey) {
+      console.error("Error: NEXOS_API_KEY environment variable is not set\n");
+      console.error("You can get your API key at: https://nexos.ai\n");
+      console.error("Run with the API key inline:");
+      console.error("  NEXOS_API_KEY=\"your-api-key\" npx opencode-nexos-models-config\n");
+      console.error("Or set it permanently:\n");
+      console.error("  Linux/macOS (bash/zsh):");
+      console.error("    echo 'export NEXOS_API_KEY=\"your-api-key\"' >> ~/.bashrc   # bash");
+      console.error("    echo 'export NEXOS_API_KEY=\"your-api-key\"' >> ~/.zshrc    # zsh (macOS default)");
+      console.error("    source ~/.bashrc  # or source ~/.zshrc\n");
+      process.exit(1);
+    }
+
+    if (!apiKey.startsWith("nexos-")) {
+      console.error(
+        'Error: NEXOS_API_KEY is invalid. The key must start with "nexos-".\n'
+      );
+      console.error("You can get your API key at: https://nexos.ai");
+      process.exit(1);
+    }
+  }
+
+  if (cliArgs["ca-file"] === true) {
+    console.error("Error: --ca-file requires a path");
+    process.exit(1);
+  }
+
+  const networkSettings = resolveNetworkSettings(apiBaseURL, { caFile: cliArgs["ca-file"] });
+  if (cliArgs.verbose) console.error(formatNetworkSettings(networkSettings, apiBaseURL));
+
+  let dispatcher = null;
+  if (!cliArgs.offline && !cliArgs["models-file"]) {
+    try {
+      dispatcher = await createDispatcher(networkSettings);
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+  }
+
+  const modelSource = {
+    apiKey,
+    apiBaseURL,
+    timeout: apiTimeout,
+    offline: cliArgs.offline,
+    modelsFile: cliArgs["models-file"],
+    dispatcher,
+  };
+
+  if (cliArgs.command === "compare-costs") {
+    const modelsList = await loadModelsList(modelSource);
+    const existingCosts = await getExistingModelCosts(configPaths[0]);
+    const { models } = processModels(modelsList, existingCosts, supportedModelsOnly, {}, modelFilters);
+    console.error(`Workload: ${formatWorkload(workload)}\n`);
+    console.log(formatCostComparison(compareModelCosts(models, workload), cliArgs.format));
+    return;
+  }
+
+  if (cliArgs.command === "list") {
+    const modelsList = await loadModelsList(modelSource);
+    const existingCosts = await getExistingModelCosts(configPaths[0]);
+    listModels(modelsList, existingCosts, supportedModelsOnly, cliArgs.format, modelFilters);
+    return;
+  }
+
+  checkDependencies();
+
+  let agentAssignments;
+  try {
+    let presetAssignments = {};
+    if (cliArgs.preset !== undefined) {
+      const presets = await loadAgentPresets(join(getToolConfigDir(), "presets.json"));
+      const presetName = typeof cliArgs.preset === "string" ? cliArgs.preset : await selectPreset(presets);
+      if (!Object.hasOwn(presets, presetName)) {
+        console.error(`Error: unknown preset "${presetName}". Available presets: ${Object.keys(presets).join(", ")}`);
+        process.exit(1);
+      }
+      console.error(`Using agent preset "${presetName}": ${describePreset(presets[presetName])}`);
+      presetAssignments = parseAgentAssignments([], [], presets[presetName]);
+    }
+
+    const fileAssignments = cliArgs["agents-file"] ? await loadAgentsFile(cliArgs["agents-file"]) : {};
+    const explicitAssignments = parseAgentAssignments(cliArgs.agent, cliArgs["agent-temperature"], fileAssignments);
+    // Explicit --agent flags and the agents file refine the preset per agent
+    agentAssignments = { ...presetAssignments };
+    for (const [agentName, assignment] of Object.entries(explicitAssignments)) {
+      agentAssignments[agentName] = { ...agentAssignments[agentName], ...assignment };
+    }
+  } catch (err) {
+    if (err instanceof AgentAssignmentError || err instanceof ConfigParseError) {
+      console.error(`Error: ${err.message}`);
+    } else {
+      console.error(`Error: cannot read agent settings: ${err.message}`);
+    }
+    process.exit(1);
+  }
+
+  const dryRun = cliArgs["dry-run"] || cliArgs.diff;
+
+  // Load every target up front so a broken file fails before the API is called
+  const targets = [];
+  for (const configPath of configPaths) {
+    const loaded = await loadTargetConfig(configPath, { force: cliArgs.force });
+    targets.push({ path: configPath, ...loaded });
+  }
+
+  // A dry run leaves every file alone, including the models cache
+  const modelsList = await loadModelsList({ ...modelSource, updateCache: !dryRun });
+
+  if (modelsList.length === 0) {
+    console.log("No models found.");
+    process.exit(0);
+  }
+
+  const prune = cliArgs["prune-pinned"];
+  const historyPath = getChangeHistoryPath();
+  const history = await loadChangeHistory(historyPath).catch((err) => {
+    console.error(`Warning: cannot read change history ${historyPath}: ${err.message}`);
+    return [];
+  });
+  const changeReports = [];
+  const stalePins = pinned ? findStalePins(pinned.pins, modelsList) : [];
+
+  for (const [index, target] of targets.entries()) {
+    // Custom costs are read from the file being written, not always the global config
+    const existingCosts = extractModelCosts(target.config);
+    const targetHistory = history.filter((entry) => entry.config === target.path);
+    const existingVariants = extractModelVariants(target.config, targetHistory);
+
+    const processed = processModels(
+      modelsList,
+      existingCosts,
+      supportedModelsOnly,
+      existingVariants,
+      modelFilters
+    );
+    const keptFields = preserveUserFields(processed.models, target.config, modelOverrides);
+    // With --prune-pinned the stale models are only reported, not carried over
+    const targetPins = stalePins.filter(({ name }) => pinAppliesTo(pinned.pins[name], target.path));
+    const pinnedModels = carryOverPinnedModels(prune ? {} : processed.models, target.config, targetPins);
+
+    if (index === 0) {
+      printModelSummary(processed, supportedModelsOnly);
+    }
+    if (targets.length > 1) {
+      console.error(`\n\x1b[1m==> ${target.path}\x1b[0m`);
+    }
+    printKeptFields(keptFields);
+    printPinnedModels(pinnedModels, { prune });
+
+    const previousModels = asObject(asObject(target.config.provider?.["nexos-ai"])?.models) || {};
+    const report = buildChangeReport(previousModels, processed.models, targetHistory);
+    // A first run has nothing to compare against, the model list above says it all
+    if (Object.keys(previousModels).length > 0) {
+      console.error(`\n${formatChangeReport(report)}`);
+    }
+    if (!dryRun && (!isEmptyChangeReport(report) || needsDefaultsBaseline(targetHistory, processed.models))) {
+      changeReports.push({ configPath: target.path, report, defaults: getModelDefaults(processed.models) });
+    }
+
+    await updateConfigTarget(target, processed.models, {
+      apiBaseURL,
+      dryRun,
+      backupRetention,
+      cliArgs,
+      supportedModelsOnly,
+      agentAssignments,
+    });
+  }
+
+  // Recorded after the configs are written so the history only lists changes that were applied
+  for (const { configPath, report, defaults } of changeReports) {
+    await appendChangeHistory(historyPath, configPath, report, defaults);
+  }
+
+  if (pinned && !dryRun) {
+    const configPaths = targets.map((target) => target.path);
+    const text = updatePinnedText(pinned.text, pinned.pins, stalePins, { prune, configPaths });
+    if (text !== pinned.text) await writeFile(pinnedPath, text, "utf-8");
+  }
 }
 
 if (process.env.NODE_ENV !== "test") {
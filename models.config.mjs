@@ -78,7 +78,11 @@ export const SUPPORTED_MODELS = {
   "GPT 5.4": {
     modalities: { input: ["text", "image"], output: ["text"] },
     limit: { context: 1050000, output: 128000 },
-    cost: { input: 2.5, output: 15.0, cache_read: 0.25 },
+    cost: {
+      input: 2.5, output: 15.0, cache_read: 0.25,
+      // OpenAI's threshold is 272k, opencode only knows a 200k tier
+      context_over_200k: { input: 5.0, output: 22.5, cache_read: 0.5 },
+    },
     variants: {
       low: { reasoningEffort: "low" },
       high: { reasoningEffort: "high" },
@@ -90,7 +94,10 @@ export const SUPPORTED_MODELS = {
   "Gemini 2.5 Pro": {
     modalities: { input: ["text", "image"], output: ["text"] },
     limit: { context: 1048576, output: 65536 },
-    cost: { input: 1.25, output: 10.0, cache_read: 0.125 },
+    cost: {
+      input: 1.25, output: 10.0, cache_read: 0.125,
+      context_over_200k: { input: 2.5, output: 15.0, cache_read: 0.25 },
+    },
     variants: {
       low: { thinking: { type: "enabled", budgetTokens: 1024 } },
       high: { thinking: { type: "enabled", budgetTokens: 32768 } },
@@ -132,16 +139,281 @@ export const DEFAULT_FALLBACK_COSTS = {
 
 export const skippedModelPrefixes = ["Gemini 3"];
 
+const CLAUDE_THINKING_VARIANTS = {
+  low: { thinking: { type: "enabled", budgetTokens: 1024 } },
+  high: { thinking: { type: "enabled", budgetTokens: 32000 } },
+};
+
+const GPT_REASONING_VARIANTS = {
+  low: { reasoningEffort: "low" },
+  high: { reasoningEffort: "high" },
+};
+
+// Family rules give new releases sensible defaults until they get an exact entry in
+// SUPPORTED_MODELS, which always takes precedence. `match` is a glob ("*" matches any
+// characters) or a RegExp; the first matching rule is used, so specific rules come first.
+// Only rules with a `cost` make a model count as supported, so every rule here is priced after the
+// tier it stands for; cheaper tiers get their own rules ahead of the family catch-all.
+export const MODEL_FAMILY_RULES = [
+  {
+    match: "Claude Opus *",
+    modalities: { input: ["text", "image"], output: ["text"] },
+    limit: { context: 200000, output: 64000 },
+    cost: { input: 5.5, output: 27.5, cache_read: 0.55, cache_write: 6.75 },
+    variants: CLAUDE_THINKING_VARIANTS,
+  },
+  {
+    match: "Claude Sonnet *",
+    modalities: { input: ["text", "image"], output: ["text"] },
+    limit: { context: 200000, output: 64000 },
+    cost: { input: 3.3, output: 16.5, cache_read: 0.33, cache_write: 4.13 },
+    variants: CLAUDE_THINKING_VARIANTS,
+  },
+  {
+    match: "Claude Haiku *",
+    modalities: { input: ["text", "image"], output: ["text"] },
+    limit: { context: 200000, output: 64000 },
+    cost: { input: 1.1, output: 5.5, cache_read: 0.11, cache_write: 1.38 },
+    variants: CLAUDE_THINKING_VARIANTS,
+  },
+  {
+    // Other Claude tiers are priced like Sonnet
+    match: "Claude *",
+    modalities: { input: ["text", "image"], output: ["text"] },
+    limit: { context: 200000, output: 64000 },
+    cost: { input: 3.3, output: 16.5, cache_read: 0.33, cache_write: 4.13 },
+    variants: CLAUDE_THINKING_VARIANTS,
+  },
+  {
+    match: /^GPT 5(\.\d+)? Codex/,
+    modalities: { input: ["text", "image"], output: ["text"] },
+    limit: { context: 400000, output: 128000 },
+    cost: { input: 1.75, output: 14.0, cache_read: 0.175 },
+    variants: GPT_REASONING_VARIANTS,
+    options: { reasoningEffort: "none" },
+  },
+  {
+    match: /^GPT 5(\.\d+)? Mini\b/,
+    modalities: { input: ["text", "image"], output: ["text"] },
+    limit: { context: 400000, output: 128000 },
+    cost: { input: 0.25, output: 2.0, cache_read: 0.025 },
+    variants: GPT_REASONING_VARIANTS,
+    options: { reasoningEffort: "none" },
+  },
+  {
+    match: /^GPT 5(\.\d+)? Nano\b/,
+    modalities: { input: ["text", "image"], output: ["text"] },
+    limit: { context: 400000, output: 128000 },
+    cost: { input: 0.05, output: 0.4, cache_read: 0.005 },
+    variants: GPT_REASONING_VARIANTS,
+    options: { reasoningEffort: "none" },
+  },
+  {
+    // New flagship releases, priced like the latest one (GPT 5.4)
+    match: /^GPT 5(\.\d+)?\b/,
+    modalities: { input: ["text", "image"], output: ["text"] },
+    limit: { context: 400000, output: 128000 },
+    cost: { input: 2.5, output: 15.0, cache_read: 0.25 },
+    variants: GPT_REASONING_VARIANTS,
+    options: { reasoningEffort: "none" },
+  },
+  {
+    match: "Gemini 2.5 Flash Lite*",
+    modalities: { input: ["text", "image"], output: ["text"] },
+    limit: { context: 1048576, output: 65536 },
+    cost: { input: 0.1, output: 0.4, cache_read: 0.01 },
+    variants: {
+      low: { thinking: { type: "enabled", budgetTokens: 1024 } },
+      high: { thinking: { type: "enabled", budgetTokens: 24576 } },
+    },
+  },
+  {
+    match: "Gemini 2.5 Flash*",
+    modalities: { input: ["text", "image"], output: ["text"] },
+    limit: { context: 1048576, output: 65536 },
+    cost: { input: 0.3, output: 2.5, cache_read: 0.03 },
+    variants: {
+      low: { thinking: { type: "enabled", budgetTokens: 1024 } },
+      high: { thinking: { type: "enabled", budgetTokens: 24576 } },
+    },
+  },
+  {
+    match: "Gemini 2.5 *",
+    modalities: { input: ["text", "image"], output: ["text"] },
+    limit: { context: 1048576, output: 65536 },
+    cost: { input: 1.25, output: 10.0, cache_read: 0.125 },
+    variants: {
+      low: { thinking: { type: "enabled", budgetTokens: 1024 } },
+      high: { thinking: { type: "enabled", budgetTokens: 24576 } },
+    },
+  },
+];
+
+function globToRegExp(glob) {
+  const source = glob
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}$`);
+}
+
+export function matchesPattern(pattern, name) {
+  return (pattern instanceof RegExp ? pattern : globToRegExp(pattern)).test(name);
+}
+
+export function formatPattern(pattern) {
+  return pattern instanceof RegExp ? String(pattern) : pattern;
+}
+
+function findFamilyRule(displayName) {
+  return MODEL_FAMILY_RULES.find((rule) => matchesPattern(rule.match, displayName)) || null;
+}
+
+// The family rule a model's configuration comes from, or null for exact entries and unknown models
+export function getMatchedRule(displayName) {
+  if (Object.hasOwn(SUPPORTED_MODELS, displayName)) return null;
+  const rule = findFamilyRule(displayName);
+  return rule ? formatPattern(rule.match) : null;
+}
+
 export function clone(value) {
   return value === undefined ? undefined : structuredClone(value);
 }
 
+export const KNOWN_MODALITIES = ["text", "image", "audio", "video", "pdf"];
+
+const CATALOG_ENTRY_FIELDS = ["modalities", "limit", "cost", "variants", "options"];
+const COST_FIELDS = ["input", "output", "cache_read", "cache_write"];
+// opencode's name for the prices of prompts over 200k tokens
+export const LONG_CONTEXT_COST_KEY = "context_over_200k";
+export const LONG_CONTEXT_THRESHOLD = 200000;
+
+// Entries loaded from the user's catalog file, merged over SUPPORTED_MODELS
+let userModels = {};
+
+export function setUserModels(models) {
+  userModels = models || {};
+}
+
+export function getUserModels() {
+  return userModels;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+export function validateModelCatalog(catalog) {
+  if (!isObject(catalog)) {
+    return ["catalog must be an object mapping model names to their configuration"];
+  }
+
+  const errors = [];
+  for (const [name, entry] of Object.entries(catalog)) {
+    const fail = (field, message) => errors.push(`"${name}".${field}: ${message}`);
+
+    if (!isObject(entry)) {
+      errors.push(`"${name}": must be an object`);
+      continue;
+    }
+
+    for (const field of Object.keys(entry)) {
+      if (!CATALOG_ENTRY_FIELDS.includes(field)) {
+        fail(field, `unknown field (expected one of: ${CATALOG_ENTRY_FIELDS.join(", ")})`);
+      }
+    }
+
+    if (entry.modalities !== undefined) {
+      if (!isObject(entry.modalities)) {
+        fail("modalities", "must be an object with input and output arrays");
+      } else {
+        for (const direction of ["input", "output"]) {
+          const values = entry.modalities[direction];
+          if (!Array.isArray(values) || values.length === 0) {
+            fail(`modalities.${direction}`, "must be a non-empty array");
+            continue;
+          }
+          for (const value of values) {
+            if (!KNOWN_MODALITIES.includes(value)) {
+              fail(`modalities.${direction}`, `unknown modality "${value}" (expected one of: ${KNOWN_MODALITIES.join(", ")})`);
+            }
+          }
+        }
+      }
+    }
+
+    if (entry.limit !== undefined) {
+      if (!isObject(entry.limit)) {
+        fail("limit", "must be an object with context and output");
+      } else {
+        for (const field of ["context", "output"]) {
+          const value = entry.limit[field];
+          if (!Number.isInteger(value) || value <= 0) {
+            fail(`limit.${field}`, "must be a positive integer");
+          }
+        }
+      }
+    }
+
+    if (entry.cost !== undefined) {
+      if (!isObject(entry.cost)) {
+        fail("cost", "must be an object");
+      } else {
+        const checkPrices = (prices, prefix) => {
+          for (const [field, value] of Object.entries(prices)) {
+            if (!COST_FIELDS.includes(field)) {
+              fail(`${prefix}.${field}`, `unknown field (expected one of: ${COST_FIELDS.join(", ")})`);
+            } else if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+              fail(`${prefix}.${field}`, "must be a non-negative number");
+            }
+          }
+        };
+        const { [LONG_CONTEXT_COST_KEY]: longContext, ...prices } = entry.cost;
+        checkPrices(prices, "cost");
+        if (longContext !== undefined) {
+          if (!isObject(longContext)) {
+            fail(`cost.${LONG_CONTEXT_COST_KEY}`, "must be an object");
+          } else {
+            checkPrices(longContext, `cost.${LONG_CONTEXT_COST_KEY}`);
+            for (const field of ["input", "output"]) {
+              if (longContext[field] === undefined) fail(`cost.${LONG_CONTEXT_COST_KEY}.${field}`, "is required");
+            }
+          }
+        }
+      }
+    }
+
+    if (entry.variants !== undefined) {
+      if (!isObject(entry.variants)) {
+        fail("variants", "must be an object");
+      } else {
+        for (const [variant, value] of Object.entries(entry.variants)) {
+          if (!isObject(value)) fail(`variants.${variant}`, "must be an object");
+        }
+      }
+    }
+
+    if (entry.options !== undefined && !isObject(entry.options)) {
+      fail("options", "must be an object");
+    }
+  }
+  return errors;
+}
+
 export function getModelConfig(displayName) {
-  return SUPPORTED_MODELS[displayName] || null;
+  const builtin = Object.hasOwn(SUPPORTED_MODELS, displayName) ? SUPPORTED_MODELS[displayName] : null;
+  const rule = builtin ? null : findFamilyRule(displayName);
+  const user = Object.hasOwn(userModels, displayName) ? userModels[displayName] : null;
+  if (!builtin && !rule && !user) return null;
+  const { match, ...ruleConfig } = rule || {};
+  // User entries override the built-in table (or the family rule) field by field
+  return { ...(builtin || ruleConfig), ...user };
 }
 
+// Supported models have predefined costs: exact entries, user catalog entries and priced family rules
 export function isModelSupported(displayName) {
-  return displayName in SUPPORTED_MODELS;
+  if (Object.hasOwn(SUPPORTED_MODELS, displayName) || Object.hasOwn(userModels, displayName)) return true;
+  return Boolean(findFamilyRule(displayName)?.cost);
 }
 
 export function getModelLimit(displayName, apiModel = null) {
@@ -159,10 +431,19 @@ export function getModelLimit(displayName, apiModel = null) {
   return { context: ctx, output: out };
 }
 
+// Configs written before a model had long-context prices get them on refresh, as long as the
+// base prices are still the defaults; customized prices are left as they are
+function withLongContextCost(cost, defaultCost) {
+  const tier = defaultCost?.[LONG_CONTEXT_COST_KEY];
+  if (!tier || cost[LONG_CONTEXT_COST_KEY]) return cost;
+  const defaultPrices = COST_FIELDS.every((field) => cost[field] === defaultCost[field]);
+  return defaultPrices ? { ...cost, [LONG_CONTEXT_COST_KEY]: clone(tier) } : cost;
+}
+
 export function getModelCost(displayName, existingCosts) {
   // Always prefer existing costs from config (user's custom values)
   if (existingCosts && existingCosts[displayName]) {
-    return existingCosts[displayName];
+    return withLongContextCost(existingCosts[displayName], getModelConfig(displayName)?.cost);
   }
   
   // Fall back to hardcoded defaults if available
@@ -175,7 +456,12 @@ export function getModelCost(displayName, existingCosts) {
   return clone(DEFAULT_FALLBACK_COSTS);
 }
 
-export function getModelVariants(displayName) {
+export function getModelVariants(displayName, existingVariants) {
+  // Prefer variants from the config (user's edits), like costs
+  if (existingVariants && existingVariants[displayName]) {
+    return existingVariants[displayName];
+  }
+
   const config = getModelConfig(displayName);
   if (config?.variants) {
     return clone(config.variants);
@@ -201,7 +487,8 @@ export function getModelModalities(displayName) {
 }
 
 export function isSkippedModel(displayName) {
-  if (displayName in SUPPORTED_MODELS) return false;
+  // Only exact entries override the skip list; family rules do not
+  if (Object.hasOwn(SUPPORTED_MODELS, displayName) || Object.hasOwn(userModels, displayName)) return false;
   return skippedModelPrefixes.some((prefix) => displayName.startsWith(prefix));
 }
 
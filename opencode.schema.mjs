@@ -0,0 +1,173 @@
+// Bundled copy of the parts of the opencode config schema (https://opencode.ai/config.json)
+// that this tool writes: providers, models and agents. Other top-level keys are
+// type-checked where listed here and otherwise left to opencode itself. Provider
+// and model entries accept keys not listed here too: the tool keeps fields it does
+// not generate, and opencode adds new ones faster than this copy is updated.
+
+const permissionValue = { type: "string", enum: ["ask", "allow", "deny"] };
+
+const permissionRule = {
+  anyOf: [
+    permissionValue,
+    { type: "object", additionalProperties: permissionValue },
+  ],
+};
+
+const modalityList = {
+  type: "array",
+  items: { type: "string", enum: ["text", "audio", "image", "video", "pdf"] },
+};
+
+export const OPENCODE_SCHEMA = {
+  $schema: "http://json-schema.org/draft-07/schema#",
+  $id: "https://opencode.ai/config.json",
+  type: "object",
+  properties: {
+    $schema: { type: "string" },
+    theme: { type: "string" },
+    model: { type: "string" },
+    small_model: { type: "string" },
+    default_agent: { type: "string" },
+    username: { type: "string" },
+    share: { type: "string", enum: ["manual", "auto", "disabled"] },
+    autoupdate: { anyOf: [{ type: "boolean" }, { type: "string", enum: ["notify"] }] },
+    snapshot: { type: "boolean" },
+    plugin: { type: "array", items: { type: "string" } },
+    instructions: { type: "array", items: { type: "string" } },
+    disabled_providers: { type: "array", items: { type: "string" } },
+    enabled_providers: { type: "array", items: { type: "string" } },
+    provider: {
+      type: "object",
+      additionalProperties: { $ref: "#/definitions/Provider" },
+    },
+    agent: {
+      type: "object",
+      additionalProperties: { $ref: "#/definitions/Agent" },
+    },
+    permission: {
+      type: "object",
+      additionalProperties: permissionRule,
+    },
+    tools: {
+      type: "object",
+      additionalProperties: { type: "boolean" },
+    },
+    mcp: { type: "object" },
+    command: { type: "object" },
+    formatter: {},
+    lsp: {},
+    keybinds: { type: "object" },
+    tui: { type: "object" },
+    experimental: { type: "object" },
+  },
+  definitions: {
+    Provider: {
+      type: "object",
+      properties: {
+        id: { type: "string" },
+        name: { type: "string" },
+        npm: { type: "string" },
+        api: { type: "string" },
+        env: { type: "array", items: { type: "string" } },
+        whitelist: { type: "array", items: { type: "string" } },
+        blacklist: { type: "array", items: { type: "string" } },
+        options: {
+          type: "object",
+          properties: {
+            apiKey: { type: "string" },
+            baseURL: { type: "string" },
+            timeout: { anyOf: [{ type: "integer", exclusiveMinimum: 0 }, { const: false }] },
+          },
+        },
+        models: {
+          type: "object",
+          additionalProperties: { $ref: "#/definitions/Model" },
+        },
+      },
+    },
+    Model: {
+      type: "object",
+      properties: {
+        id: { type: "string" },
+        name: { type: "string" },
+        release_date: { type: "string" },
+        attachment: { type: "boolean" },
+        reasoning: { type: "boolean" },
+        temperature: { type: "boolean" },
+        tool_call: { type: "boolean" },
+        experimental: { type: "boolean" },
+        status: { type: "string", enum: ["alpha", "beta", "deprecated"] },
+        cost: {
+          type: "object",
+          properties: {
+            input: { type: "number" },
+            output: { type: "number" },
+            cache_read: { type: "number" },
+            cache_write: { type: "number" },
+            context_over_200k: {
+              type: "object",
+              properties: {
+                input: { type: "number" },
+                output: { type: "number" },
+                cache_read: { type: "number" },
+                cache_write: { type: "number" },
+              },
+              required: ["input", "output"],
+              additionalProperties: false,
+            },
+          },
+          required: ["input", "output"],
+          additionalProperties: false,
+        },
+        limit: {
+          type: "object",
+          properties: {
+            context: { type: "number" },
+            output: { type: "number" },
+          },
+          required: ["context", "output"],
+          additionalProperties: false,
+        },
+        modalities: {
+          type: "object",
+          properties: {
+            input: modalityList,
+            output: modalityList,
+          },
+          required: ["input", "output"],
+          additionalProperties: false,
+        },
+        options: { type: "object" },
+        headers: { type: "object", additionalProperties: { type: "string" } },
+        provider: { type: "object" },
+        variants: {
+          type: "object",
+          additionalProperties: { type: "object" },
+        },
+      },
+    },
+    Agent: {
+      type: "object",
+      properties: {
+        model: { type: "string" },
+        variant: { type: "string" },
+        temperature: { type: "number" },
+        top_p: { type: "number" },
+        prompt: { type: "string" },
+        description: { type: "string" },
+        mode: { type: "string", enum: ["subagent", "primary", "all"] },
+        color: { type: "string" },
+        disable: { type: "boolean" },
+        steps: { type: "integer", exclusiveMinimum: 0 },
+        tools: {
+          type: "object",
+          additionalProperties: { type: "boolean" },
+        },
+        permission: {
+          type: "object",
+          additionalProperties: permissionRule,
+        },
+      },
+    },
+  },
+};